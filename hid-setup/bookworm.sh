@@ -175,11 +175,39 @@ setup_gadget() {
     
     # Enhanced HID Report Descriptor for Bookworm compatibility
     # This descriptor is optimized for newer kernels and includes better compatibility
-    echo -ne \\x05\\x01\\x09\\x06\\xa1\\x01\\x05\\x07\\x19\\xe0\\x29\\xe7\\x15\\x00\\x25\\x01\\x75\\x01\\x95\\x08\\x81\\x02\\x95\\x01\\x75\\x08\\x81\\x03\\x95\\x06\\x75\\x08\\x15\\x00\\x25\\x65\\x05\\x07\\x19\\x00\\x29\\x65\\x81\\x00\\xc0 > report_desc
+    # It declares the 1-byte LED output report (Num/Caps/Scroll Lock) so the
+    # host's lock state can be read back from /dev/hidg0
+    echo -ne \\x05\\x01\\x09\\x06\\xa1\\x01\\x05\\x07\\x19\\xe0\\x29\\xe7\\x15\\x00\\x25\\x01\\x75\\x01\\x95\\x08\\x81\\x02\\x95\\x01\\x75\\x08\\x81\\x03\\x95\\x05\\x75\\x01\\x05\\x08\\x19\\x01\\x29\\x05\\x91\\x02\\x95\\x01\\x75\\x03\\x91\\x03\\x95\\x06\\x75\\x08\\x15\\x00\\x25\\x65\\x05\\x07\\x19\\x00\\x29\\x65\\x81\\x00\\xc0 > report_desc
     
-    # Link function to configuration
+    # Create HID mouse function (appears as /dev/hidg1)
+    cd "$GADGET_PATH"
+    mkdir -p functions/hid.mouse
+    cd functions/hid.mouse
+    
+    echo 2 > protocol      # Mouse protocol
+    echo 1 > subclass      # Boot interface subclass
+    echo 4 > report_length # 4 bytes: buttons, x, y, wheel
+    
+    # Relative mouse with 3 buttons, X/Y and wheel (signed 8-bit each)
+    echo -ne \\x05\\x01\\x09\\x02\\xa1\\x01\\x09\\x01\\xa1\\x00\\x05\\x09\\x19\\x01\\x29\\x03\\x15\\x00\\x25\\x01\\x95\\x03\\x75\\x01\\x81\\x02\\x95\\x01\\x75\\x05\\x81\\x03\\x05\\x01\\x09\\x30\\x09\\x31\\x09\\x38\\x15\\x81\\x25\\x7f\\x75\\x08\\x95\\x03\\x81\\x06\\xc0\\xc0 > report_desc
+    
+    # Create HID consumer control function (appears as /dev/hidg2)
+    cd "$GADGET_PATH"
+    mkdir -p functions/hid.consumer
+    cd functions/hid.consumer
+    
+    echo 0 > protocol      # No boot protocol
+    echo 0 > subclass      # No subclass
+    echo 2 > report_length # 2 bytes: usage code (little-endian)
+    
+    # Consumer control with a single 16-bit usage (volume, mute, media keys)
+    echo -ne \\x05\\x0c\\x09\\x01\\xa1\\x01\\x15\\x00\\x26\\xff\\x03\\x19\\x00\\x2a\\xff\\x03\\x75\\x10\\x95\\x01\\x81\\x00\\xc0 > report_desc
+    
+    # Link functions to configuration
     cd "$GADGET_PATH"
     ln -sf functions/hid.keyboard configs/c.1/
+    ln -sf functions/hid.mouse configs/c.1/
+    ln -sf functions/hid.consumer configs/c.1/
     
     # Find and bind to USB device controller (improved detection for Pi 4)
     local udc_device=""
@@ -210,6 +238,18 @@ setup_gadget() {
         chmod 666 /dev/hidg0
         chgrp input /dev/hidg0 2>/dev/null || true
         
+        if [ -c "/dev/hidg1" ]; then
+            echo "✓ HID mouse device created at: /dev/hidg1"
+            chmod 666 /dev/hidg1
+            chgrp input /dev/hidg1 2>/dev/null || true
+        fi
+        
+        if [ -c "/dev/hidg2" ]; then
+            echo "✓ HID consumer control device created at: /dev/hidg2"
+            chmod 666 /dev/hidg2
+            chgrp input /dev/hidg2 2>/dev/null || true
+        fi
+        
         return 0
     else
         echo "Error: Failed to create /dev/hidg0 device"
@@ -234,9 +274,13 @@ cleanup_gadget() {
         
         # Remove configuration links
         rm -f configs/c.1/hid.keyboard 2>/dev/null || true
+        rm -f configs/c.1/hid.mouse 2>/dev/null || true
+        rm -f configs/c.1/hid.consumer 2>/dev/null || true
         
         # Remove directories in reverse order
         rmdir functions/hid.keyboard 2>/dev/null || true
+        rmdir functions/hid.mouse 2>/dev/null || true
+        rmdir functions/hid.consumer 2>/dev/null || true
         rmdir configs/c.1/strings/0x409 2>/dev/null || true
         rmdir configs/c.1 2>/dev/null || true
         rmdir strings/0x409 2>/dev/null || true
@@ -278,6 +322,18 @@ status_gadget() {
     else
         echo "HID device: NOT FOUND"
     fi
+    
+    if [ -c "/dev/hidg1" ]; then
+        echo "HID mouse device: /dev/hidg1 ($(ls -l /dev/hidg1))"
+    else
+        echo "HID mouse device: NOT FOUND"
+    fi
+    
+    if [ -c "/dev/hidg2" ]; then
+        echo "HID consumer control device: /dev/hidg2 ($(ls -l /dev/hidg2))"
+    else
+        echo "HID consumer control device: NOT FOUND"
+    fi
 }
 
 # Main execution
@@ -458,6 +514,18 @@ else
     echo "HID device /dev/hidg0 not found"
 fi
 
+if [ -c "/dev/hidg1" ]; then
+    ls -la /dev/hidg1
+else
+    echo "HID mouse device /dev/hidg1 not found"
+fi
+
+if [ -c "/dev/hidg2" ]; then
+    ls -la /dev/hidg2
+else
+    echo "HID consumer control device /dev/hidg2 not found"
+fi
+
 echo
 echo "=== USB Gadget Configuration ==="
 if [ -d "/sys/kernel/config/usb_gadget/pi_hid_keyboard" ]; then
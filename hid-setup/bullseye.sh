@@ -96,12 +96,42 @@ setup_gadget() {
     # HID Report Descriptor for standard keyboard
     # This descriptor defines a standard USB keyboard with:
     # - 8 modifier keys (Ctrl, Shift, Alt, etc.)
+    # - 5 LED outputs (Num/Caps/Scroll Lock, Compose, Kana) read back from /dev/hidg0
     # - 6 regular key slots
-    echo -ne \\x05\\x01\\x09\\x06\\xa1\\x01\\x05\\x07\\x19\\xe0\\x29\\xe7\\x15\\x00\\x25\\x01\\x75\\x01\\x95\\x08\\x81\\x02\\x95\\x01\\x75\\x08\\x81\\x03\\x95\\x06\\x75\\x08\\x15\\x00\\x25\\x65\\x05\\x07\\x19\\x00\\x29\\x65\\x81\\x00\\xc0 > report_desc
+    echo -ne \\x05\\x01\\x09\\x06\\xa1\\x01\\x05\\x07\\x19\\xe0\\x29\\xe7\\x15\\x00\\x25\\x01\\x75\\x01\\x95\\x08\\x81\\x02\\x95\\x01\\x75\\x08\\x81\\x03\\x95\\x05\\x75\\x01\\x05\\x08\\x19\\x01\\x29\\x05\\x91\\x02\\x95\\x01\\x75\\x03\\x91\\x03\\x95\\x06\\x75\\x08\\x15\\x00\\x25\\x65\\x05\\x07\\x19\\x00\\x29\\x65\\x81\\x00\\xc0 > report_desc
     
-    # Link function to configuration
+    # Create HID mouse function (appears as /dev/hidg1)
+    cd "$GADGET_PATH"
+    mkdir -p functions/hid.mouse
+    cd functions/hid.mouse
+    
+    echo 2 > protocol      # Mouse protocol
+    echo 1 > subclass      # Boot interface subclass
+    echo 4 > report_length # 4 bytes: buttons, x, y, wheel
+    
+    # HID Report Descriptor for a relative mouse with:
+    # - 3 buttons (left, right, middle)
+    # - X/Y movement and wheel as signed 8-bit values
+    echo -ne \\x05\\x01\\x09\\x02\\xa1\\x01\\x09\\x01\\xa1\\x00\\x05\\x09\\x19\\x01\\x29\\x03\\x15\\x00\\x25\\x01\\x95\\x03\\x75\\x01\\x81\\x02\\x95\\x01\\x75\\x05\\x81\\x03\\x05\\x01\\x09\\x30\\x09\\x31\\x09\\x38\\x15\\x81\\x25\\x7f\\x75\\x08\\x95\\x03\\x81\\x06\\xc0\\xc0 > report_desc
+    
+    # Create HID consumer control function (appears as /dev/hidg2)
+    cd "$GADGET_PATH"
+    mkdir -p functions/hid.consumer
+    cd functions/hid.consumer
+    
+    echo 0 > protocol      # No boot protocol
+    echo 0 > subclass      # No subclass
+    echo 2 > report_length # 2 bytes: usage code (little-endian)
+    
+    # HID Report Descriptor for consumer control:
+    # - one 16-bit Consumer page usage (volume, mute, play/pause, tracks)
+    echo -ne \\x05\\x0c\\x09\\x01\\xa1\\x01\\x15\\x00\\x26\\xff\\x03\\x19\\x00\\x2a\\xff\\x03\\x75\\x10\\x95\\x01\\x81\\x00\\xc0 > report_desc
+    
+    # Link functions to configuration
     cd "$GADGET_PATH"
     ln -sf functions/hid.keyboard configs/c.1/
+    ln -sf functions/hid.mouse configs/c.1/
+    ln -sf functions/hid.consumer configs/c.1/
     
     # Bind gadget to USB device controller
     UDC_DEVICE=$(ls /sys/class/udc/ | head -n1)
@@ -109,6 +139,8 @@ setup_gadget() {
     
     echo "✓ HID keyboard gadget configured and enabled"
     echo "✓ Device file created at: /dev/hidg0"
+    echo "✓ Mouse device file created at: /dev/hidg1"
+    echo "✓ Consumer control device file created at: /dev/hidg2"
 }
 
 # Function to cleanup gadget
@@ -123,9 +155,13 @@ cleanup_gadget() {
         
         # Remove configuration links
         rm -f configs/c.1/hid.keyboard 2>/dev/null || true
+        rm -f configs/c.1/hid.mouse 2>/dev/null || true
+        rm -f configs/c.1/hid.consumer 2>/dev/null || true
         
         # Remove directories
         rmdir functions/hid.keyboard 2>/dev/null || true
+        rmdir functions/hid.mouse 2>/dev/null || true
+        rmdir functions/hid.consumer 2>/dev/null || true
         rmdir configs/c.1/strings/0x409 2>/dev/null || true
         rmdir configs/c.1 2>/dev/null || true
         rmdir strings/0x409 2>/dev/null || true
@@ -209,7 +245,7 @@ echo "1. Reboot your Raspberry Pi: sudo reboot"
 echo "2. After reboot, connect Pi to host via USB-C data cable"
 echo "3. Use the Python control script to send keystrokes"
 echo ""
-echo "The gadget will be available at: /dev/hidg0"
+echo "The gadget will be available at: /dev/hidg0 (keyboard), /dev/hidg1 (mouse) and /dev/hidg2 (media keys)"
 echo "Service status: systemctl status hid-keyboard"
 echo ""
 echo "⚠️  IMPORTANT: Use the USB-C port for data connection to host device"
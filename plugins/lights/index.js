@@ -0,0 +1,46 @@
+/**
+ * Lights Plugin
+ * Flashes a TP-Link smart bulb in the stratagem's color whenever one is
+ * activated. Settings: `plugins.lights` in config.json.
+ *
+ * @version 1.0.0
+ */
+
+const { LightManager } = require("./lights.js");
+
+module.exports = {
+  name: "lights",
+
+  defaults: {
+    enabled: true,
+    ip: "127.0.0.1",
+    flashDuration: 2000, // Time before the bulb returns to its previous state (ms)
+  },
+
+  setup({ config, on }) {
+    let settings = config;
+    let lightManager = new LightManager(settings.ip);
+
+    on("stratagemActivated", async (stratagem) => {
+      if (stratagem.color) {
+        await lightManager.flash(stratagem.color, settings.flashDuration);
+      }
+    });
+
+    return {
+      /**
+       * Flash the bulb (used by the lightFlash command)
+       * @param {string} color - rgb() color
+       * @param {number} [duration] - Milliseconds, defaults to flashDuration
+       */
+      flash(color, duration = settings.flashDuration) {
+        return lightManager.flash(color, duration);
+      },
+
+      configure(next) {
+        if (next.ip !== settings.ip) lightManager = new LightManager(next.ip);
+        settings = next;
+      },
+    };
+  },
+};
@@ -0,0 +1,213 @@
+/**
+ * MQTT Plugin
+ * Publishes stratagem activations and HID connection state to an MQTT
+ * broker for Home Assistant, with discovery payloads, and runs commands
+ * received on a command topic. Settings: `plugins.mqtt` in config.json.
+ *
+ * Topics (under topicPrefix):
+ *   availability     "online" / "offline" (retained, also the last will)
+ *   hid              "ON" / "OFF" (retained)
+ *   stratagem        { name, category, color, inputCode, activatedAt, inputTime }
+ *   command          { "type": "executeStratagem", "name": "Reinforce", "id": 1 },
+ *                    or a plain stratagem name
+ *   command/result   { id, type, success, ...reply } or { id, type, success, code, error }
+ *
+ * @version 1.0.0
+ */
+
+const mqtt = require("mqtt");
+
+/**
+ * Commands the command topic may run unless allowedCommands says otherwise
+ * @readonly
+ */
+const DEFAULT_ALLOWED_COMMANDS = ["executeStratagem", "releaseAll", "activateLoadout"];
+
+/**
+ * Role commands from the broker run with; anyone who can publish to the
+ * command topic gets no more than a paired stratagem device
+ * @readonly
+ */
+const COMMAND_ROLE = "stratagems";
+
+/**
+ * Home Assistant discovery configs, keyed by `<component>/<object id>`
+ * @private
+ */
+function discoveryConfigs(settings, topic) {
+  const { nodeId } = settings;
+  const common = {
+    availability_topic: topic("availability"),
+    device: {
+      identifiers: [nodeId],
+      name: settings.deviceName,
+      manufacturer: "Helldivers Stratagem Pad",
+      model: "USB HID keyboard",
+    },
+  };
+
+  return {
+    "binary_sensor/hid": {
+      ...common,
+      name: "HID connected",
+      unique_id: `${nodeId}_hid`,
+      state_topic: topic("hid"),
+      payload_on: "ON",
+      payload_off: "OFF",
+      device_class: "connectivity",
+    },
+    "sensor/last_stratagem": {
+      ...common,
+      name: "Last stratagem",
+      unique_id: `${nodeId}_last_stratagem`,
+      state_topic: topic("stratagem"),
+      value_template: "{{ value_json.name }}",
+      json_attributes_topic: topic("stratagem"),
+      icon: "mdi:rocket-launch",
+    },
+    "button/release_all": {
+      ...common,
+      name: "Release all keys",
+      unique_id: `${nodeId}_release_all`,
+      command_topic: topic("command"),
+      payload_press: JSON.stringify({ type: "releaseAll", emergency: true }),
+      icon: "mdi:keyboard-off",
+    },
+  };
+}
+
+/**
+ * Turn a command topic payload into a command message
+ * @private
+ * @throws {Error} If a JSON payload is not an object with a type
+ */
+function parseCommand(payload) {
+  const text = payload.toString().trim();
+  if (!text.startsWith("{")) {
+    // Plain text is a stratagem name, for simple automations
+    return { type: "executeStratagem", name: text };
+  }
+
+  const message = JSON.parse(text);
+  if (!message || typeof message.type !== "string") {
+    throw new Error("Command must be a JSON object with a type");
+  }
+  return message;
+}
+
+module.exports = {
+  name: "mqtt",
+
+  defaults: {
+    enabled: false, // Needs a broker
+    url: "mqtt://localhost:1883",
+    username: null,
+    password: null,
+    clientId: null, // Random when null
+    topicPrefix: "stratagem-pad",
+    retain: true, // Retain the last stratagem, so Home Assistant shows it after a restart
+    discovery: true,
+    discoveryPrefix: "homeassistant",
+    nodeId: "stratagem_pad", // Home Assistant device and entity id prefix
+    deviceName: "Stratagem Pad",
+    commands: true, // Subscribe to the command topic
+    allowedCommands: DEFAULT_ALLOWED_COMMANDS,
+  },
+
+  setup({ config, on, log, api }) {
+    const topic = (name) => `${config.topicPrefix}/${name}`;
+    const client = mqtt.connect(config.url, {
+      username: config.username || undefined,
+      password: config.password || undefined,
+      clientId: config.clientId || undefined,
+      will: { topic: topic("availability"), payload: "offline", retain: true },
+    });
+
+    const publish = (name, message, retain = false) => {
+      const payload = typeof message === "string" ? message : JSON.stringify(message);
+      return client.publishAsync(topic(name), payload, { retain });
+    };
+
+    const publishHid = (connected) => publish("hid", connected ? "ON" : "OFF", true);
+
+    client.on("connect", async () => {
+      log(`Connected to ${config.url}`);
+      try {
+        await publish("availability", "online", true);
+        if (config.discovery) {
+          for (const [id, discovery] of Object.entries(discoveryConfigs(config, topic))) {
+            const [component, objectId] = id.split("/");
+            await client.publishAsync(
+              `${config.discoveryPrefix}/${component}/${config.nodeId}/${objectId}/config`,
+              JSON.stringify(discovery),
+              { retain: true }
+            );
+          }
+        }
+        await publishHid(api.getStatus().connected);
+        if (config.commands) {
+          await client.subscribeAsync(topic("command"));
+        }
+      } catch (error) {
+        log(`Failed to publish initial state: ${error.message}`);
+      }
+    });
+
+    // The client reconnects by itself; only report why it could not connect
+    client.on("error", (error) => log(`Broker error: ${error.message}`));
+
+    client.on("message", async (_topic, payload) => {
+      let message = {};
+      let outcome;
+      try {
+        message = parseCommand(payload);
+        if (!config.allowedCommands.includes(message.type)) {
+          throw Object.assign(new Error(`Command not allowed over MQTT: ${message.type}`), {
+            code: "FORBIDDEN",
+          });
+        }
+
+        const { type, id, ...params } = message;
+        const result = await api.runCommand(type, params, { role: COMMAND_ROLE });
+        outcome = { id, type, success: true, ...result };
+      } catch (error) {
+        outcome = {
+          id: message.id,
+          type: message.type,
+          success: false,
+          code: error.code || "COMMAND_FAILED",
+          error: error.message,
+        };
+      }
+
+      // A broker that went away must not take the server down with it
+      publish("command/result", outcome).catch((error) =>
+        log(`Failed to publish command result: ${error.message}`)
+      );
+    });
+
+    on("stratagemActivated", (stratagem) =>
+      publish(
+        "stratagem",
+        {
+          name: stratagem.name,
+          category: stratagem.category,
+          color: stratagem.color,
+          inputCode: stratagem.inputCode,
+          activatedAt: stratagem.activatedAt,
+          inputTime: stratagem.inputTime,
+        },
+        config.retain
+      )
+    );
+    on("hidConnected", () => publishHid(true));
+    on("hidDisconnected", () => publishHid(false));
+
+    return {
+      async close() {
+        if (client.connected) await publish("availability", "offline", true);
+        await client.endAsync();
+      },
+    };
+  },
+};
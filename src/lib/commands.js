@@ -0,0 +1,174 @@
+/**
+ * Server Commands
+ * Parameter validation and errors shared by the WebSocket and REST
+ * transports, so both accept exactly the same requests
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Machine-readable error codes sent to clients
+ * @readonly
+ */
+const ERROR_CODES = {
+  INVALID_MESSAGE: "INVALID_MESSAGE", // Not a JSON object with a type
+  UNSUPPORTED_PROTOCOL_VERSION: "UNSUPPORTED_PROTOCOL_VERSION",
+  HELLO_REQUIRED: "HELLO_REQUIRED", // A command sent before the hello handshake
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  UNAUTHORIZED: "UNAUTHORIZED", // Missing, wrong or revoked device token
+  FORBIDDEN: "FORBIDDEN", // The device's role does not allow this
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  HID_UNAVAILABLE: "HID_UNAVAILABLE",
+  COMMAND_FAILED: "COMMAND_FAILED",
+};
+
+/**
+ * Default error code for each HTTP status
+ * @readonly
+ */
+const STATUS_CODES = {
+  400: ERROR_CODES.INVALID_PAYLOAD,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  503: ERROR_CODES.HID_UNAVAILABLE,
+};
+
+/**
+ * Error raised while running a command, with the HTTP status and the
+ * error code it maps to
+ */
+class CommandError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [status=400] - HTTP status code
+   * @param {string} [code] - One of ERROR_CODES (derived from status by default)
+   */
+  constructor(message, status = 400, code = STATUS_CODES[status] || ERROR_CODES.COMMAND_FAILED) {
+    super(message);
+    this.name = "CommandError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Check a single value against its spec
+ * @private
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec
+ * @param {string} path - Field path for error messages
+ * @returns {*} The value, with defaults applied to nested objects
+ * @throws {CommandError} If the value does not match
+ */
+function validateValue(value, spec, path) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || (spec.required && value.trim() === "")) {
+        throw new CommandError(`${path} must be a non-empty string`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        throw new CommandError(`${path} has an invalid format: ${value}`);
+      }
+      return value;
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new CommandError(`${path} must be a number`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        throw new CommandError(`${path} must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        throw new CommandError(`${path} must be at most ${spec.max}`);
+      }
+      return value;
+
+    case "integer":
+      if (!Number.isInteger(value)) {
+        throw new CommandError(`${path} must be an integer`);
+      }
+      return validateValue(value, { ...spec, type: "number" }, path);
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        throw new CommandError(`${path} must be a boolean`);
+      }
+      return value;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        throw new CommandError(`${path} must be an array`);
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        throw new CommandError(`${path} must have at most ${spec.maxItems} items`);
+      }
+      return spec.items
+        ? value.map((item, index) => validateValue(item, spec.items, `${path}[${index}]`))
+        : value;
+
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new CommandError(`${path} must be an object`);
+      }
+      return spec.properties ? validateParams(spec.properties, value, `${path}.`) : value;
+
+    default:
+      // Fields with a list of types, e.g. an input code given as string or array
+      if (Array.isArray(spec.type)) {
+        for (const type of spec.type) {
+          try {
+            return validateValue(value, { ...spec, type }, path);
+          } catch (error) {
+            // Try the next type
+          }
+        }
+        throw new CommandError(`${path} must be one of: ${spec.type.join(", ")}`);
+      }
+      throw new Error(`Unknown parameter type for ${path}: ${spec.type}`);
+  }
+}
+
+/**
+ * Validate command parameters against a spec
+ * Unknown fields are rejected; missing optional fields get their default.
+ * @param {Object} specs - Field specs keyed by name ({type, required, default, ...})
+ * @param {Object} [payload={}] - Request body or message payload
+ * @param {string} [prefix=""] - Path prefix for nested objects
+ * @returns {Object} Validated parameters
+ * @throws {CommandError} If a field is missing or has the wrong type
+ */
+function validateParams(specs, payload = {}, prefix = "") {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new CommandError("Request body must be a JSON object");
+  }
+
+  for (const name of Object.keys(payload)) {
+    if (!(name in specs)) {
+      throw new CommandError(`Unknown field: ${prefix}${name}`);
+    }
+  }
+
+  const params = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    const value = payload[name];
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        throw new CommandError(`${prefix}${name} is required`);
+      }
+      if (spec.default !== undefined) {
+        params[name] = spec.default;
+      }
+      continue;
+    }
+
+    params[name] = validateValue(value, spec, `${prefix}${name}`);
+  }
+
+  return params;
+}
+
+module.exports = { CommandError, ERROR_CODES, validateParams };
@@ -0,0 +1,600 @@
+/**
+ * Server Configuration
+ * Schema, layered sources and hot reload for config.json
+ *
+ * The effective config is built from, in increasing priority:
+ *   1. CONFIG_DEFAULTS
+ *   2. config.json (or config.example.json when there is none)
+ *   3. Environment variables: STRATAGEM_PAD_<SECTION>_<FIELD>, e.g.
+ *      STRATAGEM_PAD_HID_KEY_HOLD_TIME=80 for hid.keyHoldTime
+ *   4. CLI flags: --<section>.<field> <value> or --<section>.<field>=<value>,
+ *      e.g. --server.port 8080, plus the shorthands in CLI_SHORTHANDS
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+const { validateParams } = require("./commands.js");
+
+/**
+ * Prefix of environment variables read into the config
+ * @readonly
+ */
+const ENV_PREFIX = "STRATAGEM_PAD_";
+
+/**
+ * Milliseconds to wait for an editor to finish writing config.json
+ * @readonly
+ */
+const RELOAD_DEBOUNCE = 200;
+
+/**
+ * Config schema, in the parameter spec format of commands.js. Sections
+ * without `properties` are free-form and checked by their own modules.
+ * @readonly
+ */
+const CONFIG_SCHEMA = {
+  server: {
+    type: "object",
+    properties: {
+      port: { type: "integer", min: 1, max: 65535 },
+      host: { type: "string", required: true },
+    },
+  },
+  hid: {
+    type: "object",
+    properties: {
+      transport: { type: "string", pattern: /^(device|memory|file)$/ },
+      devicePath: { type: "string", required: true },
+      filePath: { type: "string" },
+      mediaDevicePath: { type: "string", required: true },
+      enableMedia: { type: "boolean" },
+      layout: { type: "string", required: true },
+      defaultDelay: { type: "integer", min: 0, max: 10000 },
+      keyHoldTime: { type: "integer", min: 0, max: 10000 },
+      mediaKeyHoldTime: { type: "integer", min: 0, max: 10000 },
+      autoRelease: { type: "boolean" },
+      autoReconnect: { type: "boolean" },
+      reconnectDelay: { type: "integer", min: 1 },
+      maxReconnectDelay: { type: "integer", min: 1 },
+      mediaTransport: { type: "string", pattern: /^(device|memory|file)$/ },
+      enableLogging: { type: "boolean" },
+    },
+  },
+  mockHid: { type: "boolean" },
+  mouse: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      transport: { type: "string", pattern: /^(device|memory|file)$/ },
+      devicePath: { type: "string", required: true },
+      filePath: { type: "string" },
+      clickHoldTime: { type: "integer", min: 0, max: 10000 },
+      enableLogging: { type: "boolean" },
+    },
+  },
+  stratagemTiming: {
+    type: "object",
+    properties: {
+      menuOpenDelay: { type: "integer", min: 0, max: 10000 },
+      keyHoldTime: { type: "integer", min: 0, max: 10000 },
+      keyDelay: { type: "integer", min: 0, max: 10000 },
+    },
+  },
+  ui: {
+    type: "object",
+    properties: {
+      autoThrow: { type: "boolean" }, // Left-click once a stratagem is entered
+      displayTime: { type: "integer", min: 0, max: 60000 }, // Activated stratagem banner (ms)
+      keyHoldTime: { type: "integer", min: 0, max: 10000 }, // Arrow button presses (ms)
+    },
+  },
+  safety: {
+    type: "object",
+    properties: {
+      releaseOnDisconnect: { type: "boolean" }, // Release a client's held keys when it drops
+      maxHoldTime: { type: "integer", min: 0 }, // Force-release held keys after this long (ms), 0 = never
+    },
+  },
+  stats: {
+    type: "object",
+    properties: {
+      filePath: { type: "string" },
+      saveInterval: { type: "integer", min: 1000 }, // Batch writes to disk (ms)
+    },
+  },
+  reportLog: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      filePath: { type: "string" },
+      maxSize: { type: "integer", min: 1024 }, // Rotate at this size (bytes)
+      maxFiles: { type: "integer", min: 0, max: 100 }, // Rotated files to keep
+    },
+  },
+  keybindings: { type: "object" },
+  macros: {
+    type: "object",
+    properties: {
+      filePath: { type: "string" },
+      definitions: { type: "object" },
+    },
+  },
+  stratagems: {
+    type: "object",
+    properties: {
+      // strict: errors in stratagems.json stop the server; warn: only log them
+      validation: { type: "string", pattern: /^(strict|warn|off)$/ },
+      overridesPath: { type: "string" }, // Defaults to stratagems.user.json next to config.json
+    },
+  },
+  loadouts: {
+    type: "object",
+    properties: {
+      filePath: { type: "string" },
+    },
+  },
+  // One section per plugin (plugins.<name>), checked by the plugin itself,
+  // plus plugins.directory
+  plugins: { type: "object" },
+  access: {
+    type: "object",
+    properties: {
+      trustLocal: { type: "boolean" },
+      devicesPath: { type: "string" },
+      defaultRole: { type: "string" },
+      pinLength: { type: "integer", min: 4, max: 10 },
+      pinTimeout: { type: "integer", min: 10000 },
+      maxPinAttempts: { type: "integer", min: 1 },
+    },
+  },
+};
+
+/**
+ * Values used for anything no source sets
+ * @readonly
+ */
+const CONFIG_DEFAULTS = {
+  server: { port: 3000, host: "127.0.0.1" },
+  hid: {
+    transport: "device",
+    devicePath: "/dev/hidg0",
+    mediaDevicePath: "/dev/hidg2",
+    enableMedia: true,
+    layout: "us",
+    defaultDelay: 50,
+    keyHoldTime: 100,
+    mediaKeyHoldTime: 50,
+    autoRelease: true,
+    autoReconnect: true,
+    enableLogging: true,
+  },
+  mockHid: false,
+  mouse: { enabled: true, devicePath: "/dev/hidg1", clickHoldTime: 50, enableLogging: true },
+  stratagemTiming: { menuOpenDelay: 50, keyHoldTime: 50, keyDelay: 30 },
+  ui: { autoThrow: false, displayTime: 2000, keyHoldTime: 50 },
+  safety: { releaseOnDisconnect: true, maxHoldTime: 30000 },
+  stats: { saveInterval: 10000 },
+  reportLog: { enabled: true, maxSize: 1048576, maxFiles: 5 },
+  keybindings: {},
+  macros: {},
+  stratagems: { validation: "strict" },
+  loadouts: {},
+  plugins: {},
+  access: {},
+};
+
+/**
+ * Settings that only take effect after a restart; everything else is
+ * applied live when config.json changes
+ * @readonly
+ */
+const RESTART_REQUIRED = [
+  "server.port",
+  "server.host",
+  "hid.transport",
+  "hid.devicePath",
+  "hid.filePath",
+  "hid.mediaDevicePath",
+  "hid.enableMedia",
+  "mockHid",
+  "mouse.enabled",
+  "mouse.transport",
+  "mouse.devicePath",
+  "mouse.filePath",
+  "keybindings.profiles",
+  "macros",
+  "access.devicesPath",
+  "stats.filePath",
+  "reportLog.filePath",
+  "loadouts.filePath",
+  "stratagems",
+  "plugins.directory",
+];
+
+/**
+ * Settings never sent to clients, matched by key anywhere in the config
+ * (plugin sections have no schema to mark them)
+ * @readonly
+ */
+const SECRET_KEYS = /^(password|secret|token|apiKey)$/i;
+
+/**
+ * Short CLI flags and the config path they set
+ * @readonly
+ */
+const CLI_SHORTHANDS = {
+  port: "server.port",
+  host: "server.host",
+  "mock-hid": "mockHid",
+};
+
+/**
+ * Whether a value is a plain object (a config section)
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge config layers; arrays and scalars are replaced
+ * @private
+ */
+function mergeConfig(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key]) ? mergeConfig(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Set a dotted path in a nested object, creating sections on the way
+ * @private
+ */
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split(".");
+  let section = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(section[key])) section[key] = {};
+    section = section[key];
+  }
+  section[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Schema spec of a dotted path, if it is a known leaf setting. Paths inside
+ * free-form sections (objects without properties, like plugins) have no
+ * fixed type.
+ * @private
+ */
+function specForPath(dottedPath) {
+  let specs = CONFIG_SCHEMA;
+  const keys = dottedPath.split(".");
+  for (const [index, key] of keys.entries()) {
+    const spec = specs && specs[key];
+    if (!spec) return null;
+    if (index === keys.length - 1) return spec.properties ? null : spec;
+    if (spec.type === "object" && !spec.properties) return { type: "any" };
+    specs = spec.properties;
+  }
+  return null;
+}
+
+/**
+ * Every leaf setting in the schema as a dotted path
+ * @private
+ */
+function schemaPaths(specs = CONFIG_SCHEMA, prefix = "") {
+  return Object.entries(specs).flatMap(([key, spec]) =>
+    spec.properties ? schemaPaths(spec.properties, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+}
+
+/**
+ * Turn a string from the environment or command line into the type the
+ * schema expects
+ * @private
+ * @throws {Error} If the string is not a valid value
+ */
+function coerceValue(dottedPath, raw) {
+  const spec = specForPath(dottedPath);
+  if (!spec) {
+    throw new Error(`Unknown config setting: ${dottedPath}`);
+  }
+
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const value = Number(raw);
+      if (raw === "" || Number.isNaN(value)) {
+        throw new Error(`${dottedPath} must be a number: ${raw}`);
+      }
+      return value;
+    }
+    case "boolean":
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new Error(`${dottedPath} must be true or false: ${raw}`);
+    case "object":
+      return JSON.parse(raw);
+    case "any":
+      // JSON values (numbers, booleans, objects) or else the plain string
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Environment variable name for a dotted path
+ * @private
+ * @example envName("hid.keyHoldTime") // "STRATAGEM_PAD_HID_KEY_HOLD_TIME"
+ */
+function envName(dottedPath) {
+  return (
+    ENV_PREFIX +
+    dottedPath
+      .split(".")
+      .map((part) => part.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase())
+      .join("_")
+  );
+}
+
+/**
+ * Config overrides from environment variables
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object} Partial config
+ */
+function configFromEnv(env = process.env) {
+  const config = {};
+  for (const dottedPath of schemaPaths()) {
+    const name = envName(dottedPath);
+    if (env[name] !== undefined) {
+      setPath(config, dottedPath, coerceValue(dottedPath, env[name]));
+    }
+  }
+  return config;
+}
+
+/**
+ * Parse command line flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{configPath: (string|null), overrides: Object}} Config file
+ *   given with --config, and the settings set by other flags
+ * @throws {Error} On unknown flags or invalid values
+ */
+function parseArgs(argv) {
+  const overrides = {};
+  let configPath = null;
+
+  for (let index = 0; index < argv.length; index++) {
+    const match = argv[index].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${argv[index]}`);
+    }
+
+    const name = match[1];
+    const dottedPath = CLI_SHORTHANDS[name] || name;
+    let raw = match[2];
+
+    // Boolean flags may be given without a value
+    const spec = specForPath(dottedPath);
+    if (raw === undefined && spec && spec.type === "boolean" &&
+        (index + 1 >= argv.length || argv[index + 1].startsWith("--"))) {
+      raw = "true";
+    }
+    if (raw === undefined) {
+      if (index + 1 >= argv.length) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      raw = argv[++index];
+    }
+
+    if (name === "config") {
+      configPath = path.resolve(raw);
+    } else {
+      setPath(overrides, dottedPath, coerceValue(dottedPath, raw));
+    }
+  }
+
+  return { configPath, overrides };
+}
+
+/**
+ * Move settings from older config files to their current place
+ * @private
+ */
+function migrateConfig(config) {
+  const { lightIp, lights, host, ...migrated } = config;
+  if (lights !== undefined || lightIp !== undefined) {
+    const plugins = migrated.plugins || {};
+    migrated.plugins = {
+      ...plugins,
+      lights: { ...(lightIp !== undefined && { ip: lightIp }), ...lights, ...plugins.lights },
+    };
+  }
+  if (host !== undefined) {
+    migrated.server = { host, ...migrated.server };
+  }
+  return migrated;
+}
+
+/**
+ * Copy of a config with secrets (see SECRET_KEYS) masked, for clients
+ * @param {Object} config - Effective config
+ * @returns {Object}
+ */
+function redactConfig(config) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (SECRET_KEYS.test(key) && value !== null && value !== undefined && value !== "") {
+      redacted[key] = "********";
+    } else {
+      redacted[key] = isPlainObject(value) ? redactConfig(value) : value;
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Validate a complete config against the schema
+ * @param {Object} config - Merged config
+ * @returns {Object} The config
+ * @throws {Error} Describing the first invalid setting
+ */
+function validateConfig(config) {
+  try {
+    validateParams(CONFIG_SCHEMA, config);
+  } catch (error) {
+    throw new Error(`Invalid config: ${error.message}`);
+  }
+  return config;
+}
+
+/**
+ * Dotted paths whose values differ between two configs
+ * @private
+ */
+function diffConfig(before, after, prefix = "") {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return Array.from(keys).flatMap((key) => {
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    if (isPlainObject(a) && isPlainObject(b)) {
+      return diffConfig(a, b, `${prefix}${key}.`);
+    }
+    return JSON.stringify(a) === JSON.stringify(b) ? [] : [`${prefix}${key}`];
+  });
+}
+
+class ConfigManager extends EventEmitter {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.filePath] - config.json path
+   * @param {string} [options.fallbackPath] - Used while filePath does not exist
+   * @param {Object} [options.env=process.env] - Environment variables
+   * @param {Object} [options.overrides={}] - Settings from CLI flags
+   */
+  constructor(options = {}) {
+    super();
+
+    this.filePath = options.filePath || path.join(__dirname, "../../config.json");
+    this.fallbackPath =
+      options.fallbackPath || path.join(path.dirname(this.filePath), "config.example.json");
+    this._env = options.env || process.env;
+    this._overrides = options.overrides || {};
+    this._config = null;
+    this._watcher = null;
+    this._reloadTimer = null;
+  }
+
+  /**
+   * The effective config
+   * @returns {Object}
+   */
+  get() {
+    return this._config;
+  }
+
+  /**
+   * Build the effective config from every source
+   * @returns {Object} The effective config
+   * @throws {Error} If a file cannot be parsed or a setting is invalid
+   */
+  load() {
+    this._config = this._build();
+    return this._config;
+  }
+
+  /**
+   * Merge the layers and validate the result
+   * @private
+   */
+  _build() {
+    let fileConfig = {};
+    const source = [this.filePath, this.fallbackPath].find((file) => fs.existsSync(file));
+    if (source) {
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(source));
+      } catch (error) {
+        throw new Error(`Cannot read ${path.basename(source)}: ${error.message}`);
+      }
+    }
+
+    const layers = [migrateConfig(fileConfig), configFromEnv(this._env), this._overrides];
+    return validateConfig(layers.reduce(mergeConfig, CONFIG_DEFAULTS));
+  }
+
+  /**
+   * Watch config.json and reload it when it changes. Invalid edits are
+   * reported with an `error` event and the previous config stays active.
+   * Emits `change` with the new config, the changed settings and those
+   * that need a restart.
+   */
+  watch() {
+    if (this._watcher) return;
+
+    // Watch the directory: editors often replace the file instead of writing it
+    const fileName = path.basename(this.filePath);
+    this._watcher = fs.watch(path.dirname(this.filePath), (event, changed) => {
+      if (changed !== fileName) return;
+      clearTimeout(this._reloadTimer);
+      this._reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE);
+    });
+  }
+
+  /**
+   * Rebuild the config and emit what changed
+   * @returns {string[]} Changed settings (dotted paths)
+   */
+  reload() {
+    let config;
+    try {
+      config = this._build();
+    } catch (error) {
+      this.emit("error", error);
+      return [];
+    }
+
+    const changes = diffConfig(this._config, config);
+    if (changes.length === 0) return [];
+
+    this._config = config;
+    const restartRequired = changes.filter((changed) =>
+      RESTART_REQUIRED.some((setting) => changed === setting || changed.startsWith(`${setting}.`))
+    );
+    this.emit("change", { config, changes, restartRequired });
+    return changes;
+  }
+
+  /**
+   * Stop watching config.json
+   */
+  close() {
+    clearTimeout(this._reloadTimer);
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
+    }
+  }
+}
+
+module.exports = {
+  ConfigManager,
+  CONFIG_SCHEMA,
+  CONFIG_DEFAULTS,
+  RESTART_REQUIRED,
+  parseArgs,
+  configFromEnv,
+  validateConfig,
+  redactConfig,
+};
@@ -10,12 +10,30 @@
  * @version 1.0.0
  */
 
-const fs = require("fs").promises;
 const { EventEmitter } = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
+const { HIDTransport, createTransport } = require("./transports.js");
+const { getLayout } = require("./layouts.js");
+const { toActions } = require("./sequences.js");
+
+/**
+ * Create the error used when queued or running work is cancelled
+ * @param {string} [message] - Error message
+ * @returns {Error} Error with name "AbortError"
+ */
+function createAbortError(message = "Operation aborted") {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
 
 /**
  * USB HID Keyboard Controller Class
  * Provides comprehensive interface for USB HID keyboard gadget operations
+ *
+ * Every public operation runs through a single queue so reports from
+ * concurrent callers never interleave. Operations accept `priority` and
+ * `signal` options; `releaseAll({ emergency: true })` skips the queue.
  */
 class HIDKeyboard extends EventEmitter {
   /**
@@ -29,6 +47,8 @@ class HIDKeyboard extends EventEmitter {
 
   /**
    * USB HID Key codes mapping for standard keyboard layout
+   * Single-character keys are resolved through the configured host layout;
+   * this table names key positions as labelled on a US keyboard
    * @static
    * @readonly
    */
@@ -119,6 +139,18 @@ class HIDKeyboard extends EventEmitter {
       f10: 0x43,
       f11: 0x44,
       f12: 0x45,
+      f13: 0x68,
+      f14: 0x69,
+      f15: 0x6a,
+      f16: 0x6b,
+      f17: 0x6c,
+      f18: 0x6d,
+      f19: 0x6e,
+      f20: 0x6f,
+      f21: 0x70,
+      f22: 0x71,
+      f23: 0x72,
+      f24: 0x73,
 
       // Navigation keys
       insert: 0x49,
@@ -186,7 +218,7 @@ class HIDKeyboard extends EventEmitter {
   }
 
   /**
-   * Characters requiring shift modifier
+   * Characters requiring shift modifier on a US QWERTY host
    * @static
    * @readonly
    */
@@ -247,6 +279,77 @@ class HIDKeyboard extends EventEmitter {
     };
   }
 
+  /**
+   * Consumer control device path (media keys)
+   * @static
+   * @readonly
+   */
+  static get MEDIA_DEVICE() {
+    return "/dev/hidg2";
+  }
+
+  /**
+   * USB HID Consumer page usage codes for media keys
+   * @static
+   * @readonly
+   */
+  static get MEDIA_KEYS() {
+    return {
+      // Volume
+      volumeup: 0xe9,
+      volumedown: 0xea,
+      mute: 0xe2,
+
+      // Transport
+      playpause: 0xcd,
+      play: 0xb0,
+      pause: 0xb1,
+      stop: 0xb7,
+      nexttrack: 0xb5,
+      next: 0xb5,
+      prevtrack: 0xb6,
+      previous: 0xb6,
+    };
+  }
+
+  /**
+   * Media keys without a Consumer page usage, sent as keyboard keys instead
+   * Mic mute has no standard consumer usage; F20 is what Linux maps to
+   * KEY_MICMUTE and voice chat apps can bind it as a mute toggle elsewhere
+   * @static
+   * @readonly
+   */
+  static get MEDIA_KEY_FALLBACKS() {
+    return {
+      micmute: "f20",
+    };
+  }
+
+  /**
+   * Bits of the LED output report sent by the host
+   * @static
+   * @readonly
+   */
+  static get LED_BITS() {
+    return {
+      numLock: 0x01,
+      capsLock: 0x02,
+      scrollLock: 0x04,
+      compose: 0x08,
+      kana: 0x10,
+    };
+  }
+
+  /**
+   * Write error codes meaning the USB host went away (cable pulled,
+   * host asleep, gadget unbound) rather than a bad report
+   * @static
+   * @readonly
+   */
+  static get DISCONNECT_ERROR_CODES() {
+    return ["ESHUTDOWN", "EPIPE", "ENODEV", "ENXIO", "EIO", "EBADF"];
+  }
+
   /**
    * Default configuration options
    * @static
@@ -255,6 +358,16 @@ class HIDKeyboard extends EventEmitter {
   static get DEFAULT_CONFIG() {
     return {
       devicePath: HIDKeyboard.HID_DEVICE,
+      transport: "device", // "device", "memory", "file" or an HIDTransport
+      filePath: null, // Output path for the "file" transport
+      layout: "us", // Host keyboard layout: "us", "fr", "de" or "dvorak"
+      enableMedia: true, // Open the consumer control device for media keys
+      mediaDevicePath: HIDKeyboard.MEDIA_DEVICE,
+      mediaTransport: null, // Defaults to the same kind as `transport`
+      mediaKeyHoldTime: 50, // milliseconds
+      autoReconnect: true, // Retry opening the device after the host detaches
+      reconnectDelay: 500, // First retry delay (ms), doubled on each failure
+      maxReconnectDelay: 10000, // Upper bound for the retry delay (ms)
       defaultDelay: 50, // milliseconds
       keyHoldTime: 100, // milliseconds
       autoRelease: true,
@@ -266,16 +379,34 @@ class HIDKeyboard extends EventEmitter {
    * Initialize HID Keyboard controller
    * @param {Object} options - Configuration options
    * @param {string} [options.devicePath] - Custom HID device path
+   * @param {string|HIDTransport} [options.transport] - Report transport type or instance
+   * @param {string} [options.filePath] - Output path for the "file" transport
+   * @param {string} [options.layout] - Host keyboard layout identifier
    * @param {number} [options.defaultDelay] - Default delay between keystrokes (ms)
    * @param {number} [options.keyHoldTime] - How long to hold keys (ms)
    * @param {boolean} [options.autoRelease] - Auto-release keys after press
    * @param {boolean} [options.enableLogging] - Enable debug logging
+   * @param {boolean} [options.enableMedia] - Open the consumer control device
+   * @param {string} [options.mediaDevicePath] - Consumer control device path
+   * @param {string|HIDTransport} [options.mediaTransport] - Consumer control transport type or instance
+   * @param {number} [options.mediaKeyHoldTime] - How long to hold media keys (ms)
+   * @param {boolean} [options.autoReconnect] - Reconnect after the host detaches
+   * @param {number} [options.reconnectDelay] - First reconnect delay (ms)
+   * @param {number} [options.maxReconnectDelay] - Maximum reconnect delay (ms)
    */
   constructor(options = {}) {
     super();
 
     this.config = { ...HIDKeyboard.DEFAULT_CONFIG, ...options };
-    this.deviceHandle = null;
+    this.transport =
+      this.config.transport instanceof HIDTransport
+        ? this.config.transport
+        : createTransport(this.config.transport, this.config);
+    this.mediaTransport = this.config.enableMedia
+      ? this._createMediaTransport()
+      : null;
+    this.mediaConnected = false;
+    this.layout = getLayout(this.config.layout);
     this.isConnected = false;
     this.currentReport = Buffer.alloc(8); // 8-byte HID report
     
@@ -283,6 +414,25 @@ class HIDKeyboard extends EventEmitter {
     this.heldModifiers = 0; // Bitmask of held modifiers
     this.heldKeys = []; // Array of held key codes (max 6)
 
+    // Operation queue state
+    this._queue = []; // Pending operations, highest priority first
+    this._activeOperation = null; // Operation currently running
+    this._operationSequence = 0; // Keeps FIFO order within a priority
+    this._operationContext = new AsyncLocalStorage();
+
+    // Release trackers of queued and running sequences (for waitForRelease)
+    this._sequenceReleases = new Set();
+    this._pendingWrite = null; // In-flight transport write
+
+    // Host LED state from output reports (null until the host sends one)
+    this.ledState = null;
+    this.lastHostReportAt = null; // Timestamp of the last report from the host
+    this._readSession = 0; // Incremented to stop a running read loop
+
+    // Hot-plug reconnect state
+    this._reconnectTimer = null;
+    this._reconnectAttempts = 0;
+
     // Bind methods to preserve context
     this.connect = this.connect.bind(this);
     this.disconnect = this.disconnect.bind(this);
@@ -303,81 +453,472 @@ class HIDKeyboard extends EventEmitter {
   }
 
   /**
-   * Validate HID device availability
-   * @returns {Promise<boolean>} Device availability status
+   * Add an operation to the queue
+   * Calls made from inside the running operation execute immediately, so
+   * queued work can use the public API without deadlocking.
+   * @private
+   * @param {string} name - Operation name (for logs)
+   * @param {Function} task - Async function performing the operation
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Higher priorities run first
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @param {*} [options.origin] - Who asked for it, passed on with reportSent
+   * @returns {Promise<*>} Result of the task
    */
-  async isDeviceAvailable() {
+  _enqueue(name, task, options = {}) {
+    const { priority = 0, signal, origin = null } = options || {};
+
+    const current = this._operationContext.getStore();
+    if (current && current === this._activeOperation) {
+      return task();
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError(`${name} cancelled`));
+        return;
+      }
+
+      const operation = {
+        name,
+        task,
+        priority,
+        origin,
+        sequence: this._operationSequence++,
+        controller: new AbortController(),
+        preempted: false, // Set when an emergency release aborts it
+        resolve,
+        reject,
+        cleanup: () => {},
+      };
+
+      if (signal) {
+        const onAbort = () => {
+          const index = this._queue.indexOf(operation);
+          if (index !== -1) {
+            this._queue.splice(index, 1);
+            reject(createAbortError(`${name} cancelled`));
+          } else {
+            operation.controller.abort();
+          }
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        operation.cleanup = () => signal.removeEventListener("abort", onAbort);
+      }
+
+      const index = this._queue.findIndex((queued) => queued.priority < priority);
+      if (index === -1) {
+        this._queue.push(operation);
+      } else {
+        this._queue.splice(index, 0, operation);
+      }
+
+      this._drainQueue();
+    });
+  }
+
+  /**
+   * Run queued operations one at a time
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _drainQueue() {
+    if (this._activeOperation) {
+      return;
+    }
+
+    while (this._queue.length > 0) {
+      const operation = this._queue.shift();
+      this._activeOperation = operation;
+
+      try {
+        const result = await this._operationContext.run(operation, () =>
+          operation.task()
+        );
+        operation.resolve(result);
+      } catch (error) {
+        // A cancelled operation may have stopped mid-press; rewrite the
+        // committed held state so nothing stays down on the host
+        if (operation.controller.signal.aborted && !operation.preempted) {
+          await this._operationContext
+            .run(this._detachedOperation(operation.name, operation.origin), () =>
+              this._sendReport(this.heldModifiers, this.heldKeys)
+            )
+            .catch(() => {});
+        }
+        operation.reject(error);
+      } finally {
+        operation.cleanup();
+      }
+    }
+
+    this._activeOperation = null;
+  }
+
+  /**
+   * Context for reports written outside the queue (cleanup after a cancelled
+   * operation, emergency release); it is never aborted
+   * @private
+   * @param {string} name - Operation name
+   * @param {*} origin - Who asked for it
+   * @returns {Object}
+   */
+  _detachedOperation(name, origin) {
+    return { name, origin, controller: new AbortController() };
+  }
+
+  /**
+   * Throw if the running operation has been cancelled
+   * @private
+   * @throws {Error} AbortError
+   */
+  _throwIfAborted() {
+    const operation = this._operationContext.getStore();
+    if (operation && operation.controller.signal.aborted) {
+      throw createAbortError(`${operation.name} aborted`);
+    }
+  }
+
+  /**
+   * Build the consumer control transport matching the keyboard transport
+   * @private
+   * @returns {HIDTransport|null}
+   */
+  _createMediaTransport() {
+    const { mediaTransport, transport, filePath, mediaDevicePath } = this.config;
+
+    if (mediaTransport instanceof HIDTransport) {
+      return mediaTransport;
+    }
+
+    const type =
+      mediaTransport || (transport instanceof HIDTransport ? null : transport);
+    if (!type) {
+      return null;
+    }
+
+    return createTransport(type, {
+      devicePath: mediaDevicePath,
+      filePath: filePath ? `${filePath}.consumer` : null,
+    });
+  }
+
+  /**
+   * Open the consumer control device; media keys are optional, so a
+   * missing gadget function only disables them
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _openMediaTransport() {
+    if (!this.mediaTransport) {
+      return;
+    }
+
     try {
-      await fs.access(
-        this.config.devicePath,
-        fs.constants.F_OK | fs.constants.R_OK | fs.constants.W_OK
-      );
-      return true;
+      await this.mediaTransport.open();
+      this.mediaConnected = true;
+      this._log(`Media keys available (${this.mediaTransport.name})`);
     } catch (error) {
-      return false;
+      this.mediaConnected = false;
+      this._log("Media keys unavailable:", error.message);
+    }
+  }
+
+  /**
+   * Close the consumer control device
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _closeMediaTransport() {
+    if (this.mediaTransport && this.mediaConnected) {
+      this.mediaConnected = false;
+      await this.mediaTransport.close().catch(() => {});
     }
   }
 
+  /**
+   * Check whether an error means the host went away
+   * @private
+   * @param {Error} error - Error from the transport
+   * @returns {boolean}
+   */
+  _isDisconnectError(error) {
+    return HIDKeyboard.DISCONNECT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Mark the keyboard disconnected after the host detached and start
+   * reconnecting. The host drops all pressed keys, so held state is cleared.
+   * @private
+   * @param {Error} error - Write error that revealed the detach
+   * @returns {Promise<void>}
+   */
+  async _handleHostDetached(error) {
+    if (!this.isConnected) {
+      return;
+    }
+
+    this.isConnected = false;
+    this.heldModifiers = 0;
+    this.heldKeys = [];
+    this._readSession++;
+    await this._closeMediaTransport();
+    await this.transport.close().catch(() => {});
+
+    this._log(`HID host detached (${error.code})`);
+    this.emit("disconnected", { reason: error.code });
+
+    if (this.config.autoReconnect) {
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * Read output reports from the host until the session ends
+   * Runs outside the operation queue; reads never touch keyboard state
+   * @private
+   * @param {number} session - Read session this loop belongs to
+   * @returns {Promise<void>}
+   */
+  async _readLoop(session) {
+    while (this.isConnected && session === this._readSession) {
+      let report;
+      try {
+        report = await this.transport.read(8);
+      } catch (error) {
+        if (session !== this._readSession) {
+          return;
+        }
+
+        this._log("Failed to read host report:", error.message);
+        if (this._isDisconnectError(error)) {
+          await this._handleHostDetached(error);
+        } else {
+          this.emit("error", error);
+        }
+        return;
+      }
+
+      if (!report || session !== this._readSession) {
+        return;
+      }
+
+      this._handleHostReport(report);
+    }
+  }
+
+  /**
+   * Parse an LED output report and record it as a host heartbeat
+   * @private
+   * @param {Buffer} report - Report bytes from the host
+   */
+  _handleHostReport(report) {
+    const bits = report[0];
+    const ledState = {};
+    for (const [name, mask] of Object.entries(HIDKeyboard.LED_BITS)) {
+      ledState[name] = (bits & mask) !== 0;
+    }
+
+    const changed =
+      !this.ledState ||
+      Object.keys(ledState).some((name) => ledState[name] !== this.ledState[name]);
+
+    this.ledState = ledState;
+    this.lastHostReportAt = Date.now();
+    this.emit("hostReport", { report: Buffer.from(report), timestamp: this.lastHostReportAt });
+
+    if (changed) {
+      this._log("Host LED state:", ledState);
+      this.emit("ledState", { ...ledState });
+    }
+  }
+
+  /**
+   * Retry connecting with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.config.reconnectDelay * 2 ** this._reconnectAttempts,
+      this.config.maxReconnectDelay
+    );
+    this._reconnectAttempts++;
+
+    this._log(`Reconnecting in ${delay}ms (attempt ${this._reconnectAttempts})`);
+    this.emit("reconnecting", { attempt: this._reconnectAttempts, delay });
+
+    this._reconnectTimer = setTimeout(async () => {
+      this._reconnectTimer = null;
+      try {
+        await this.connect();
+      } catch (error) {
+        // connect() reschedules itself for disconnect errors; anything
+        // else (e.g. the device node vanished) also warrants another try
+        this._scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Stop any pending reconnect attempt
+   * @private
+   */
+  _cancelReconnect() {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    this._reconnectAttempts = 0;
+  }
+
+  /**
+   * Run several operations as one uninterrupted unit
+   * @param {Function} fn - Async function using the public API
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @returns {Promise<*>} Result of fn
+   */
+  runExclusive(fn, options = {}) {
+    return this._enqueue("exclusive", fn, options);
+  }
+
+  /**
+   * Pause inside runExclusive(); ends early with an AbortError when the
+   * operation is aborted (e.g. by an emergency release)
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return this._delay(ms);
+  }
+
+  /**
+   * Current held state as last written to the device
+   * @returns {{modifiers: number, keys: number[]}}
+   */
+  getState() {
+    return { modifiers: this.heldModifiers, keys: [...this.heldKeys] };
+  }
+
+  /**
+   * Change the host keyboard layout used to resolve characters
+   * @param {string} layoutId - Layout identifier (e.g. "fr")
+   * @throws {Error} If the layout is unknown
+   */
+  setLayout(layoutId) {
+    this.layout = getLayout(layoutId);
+    this.config.layout = this.layout.id;
+    this._log(`Using host keyboard layout: ${this.layout.name}`);
+    this.emit("layoutChanged", { layout: this.layout.id });
+  }
+
+  /**
+   * Validate HID device availability
+   * @returns {Promise<boolean>} Device availability status
+   */
+  async isDeviceAvailable() {
+    return this.transport.isAvailable();
+  }
+
   /**
    * Connect to HID device
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<boolean>} Connection success status
    * @throws {Error} If device connection fails
    */
-  async connect() {
+  async connect(options = {}) {
+    return this._enqueue("connect", () => this._connect(), options);
+  }
+
+  /**
+   * Queued body of connect
+   * @private
+   */
+  async _connect() {
     if (this.isConnected) {
       this._log("Already connected to HID device");
       return true;
     }
 
     try {
-      // Check device availability first
-      const available = await this.isDeviceAvailable();
-      if (!available) {
-        throw new Error(
-          `HID device not found or inaccessible: ${this.config.devicePath}`
-        );
+      await this.transport.open();
+
+      // An empty report doubles as a probe that the host is attached
+      try {
+        await this.transport.write(Buffer.alloc(8));
+      } catch (error) {
+        await this.transport.close().catch(() => {});
+        throw error;
       }
 
-      // Open device handle
-      this.deviceHandle = await fs.open(this.config.devicePath, "r+");
       this.isConnected = true;
+      this.heldModifiers = 0;
+      this.heldKeys = [];
+      this._reconnectAttempts = 0;
 
-      this._log("Successfully connected to HID device");
+      this._log(`Successfully connected to HID device (${this.transport.name})`);
+      await this._openMediaTransport();
       this.emit("connected");
 
+      if (this.transport.supportsRead) {
+        this._readLoop(++this._readSession);
+      }
+
       return true;
     } catch (error) {
       this.isConnected = false;
-      this.deviceHandle = null;
 
       this._log("Failed to connect:", error.message);
       this.emit("error", error);
 
+      if (this._isDisconnectError(error) && this.config.autoReconnect) {
+        this._scheduleReconnect();
+      }
+
       throw new Error(`Failed to connect to HID device: ${error.message}`);
     }
   }
 
   /**
    * Disconnect from HID device
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    */
-  async disconnect() {
-    if (!this.isConnected || !this.deviceHandle) {
+  async disconnect(options = {}) {
+    return this._enqueue("disconnect", () => this._disconnect(), options);
+  }
+
+  /**
+   * Queued body of disconnect
+   * @private
+   */
+  async _disconnect() {
+    this._cancelReconnect();
+
+    if (!this.isConnected) {
       return;
     }
 
     try {
       // Release all keys before disconnecting
-      await this.releaseAll();
+      await this._releaseAll();
 
-      // Close device handle
-      await this.deviceHandle.close();
-
-      this.deviceHandle = null;
+      this._readSession++;
+      await this._closeMediaTransport();
+      await this.transport.close();
       this.isConnected = false;
 
       this._log("Disconnected from HID device");
-      this.emit("disconnected");
+      this.emit("disconnected", { reason: "manual" });
     } catch (error) {
       this._log("Error during disconnect:", error.message);
       this.emit("error", error);
@@ -388,11 +929,25 @@ class HIDKeyboard extends EventEmitter {
    * Send raw HID keyboard report
    * @param {number} [modifiers=0] - Modifier key bitmask
    * @param {number[]} [keys=[]] - Array of key codes (max 6)
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @param {*} [options.origin] - Who asked for it, passed on with reportSent
    * @returns {Promise<void>}
    * @throws {Error} If not connected or write fails
    */
-  async sendReport(modifiers = 0, keys = []) {
-    if (!this.isConnected || !this.deviceHandle) {
+  async sendReport(modifiers = 0, keys = [], options = {}) {
+    return this._enqueue("sendReport", () => this._sendReport(modifiers, keys), options);
+  }
+
+  /**
+   * Queued body of sendReport
+   * @private
+   */
+  async _sendReport(modifiers = 0, keys = []) {
+    this._throwIfAborted();
+
+    if (!this.isConnected) {
       throw new Error("Not connected to HID device");
     }
 
@@ -415,7 +970,12 @@ class HIDKeyboard extends EventEmitter {
     }
 
     try {
-      await this.deviceHandle.write(this.currentReport, 0, 8, null);
+      const writeStart = process.hrtime.bigint();
+      this._pendingWrite = this.transport.write(this.currentReport);
+      await this._pendingWrite;
+      // Time the host side took to accept the report (ms)
+      const latency = Number(process.hrtime.bigint() - writeStart) / 1e6;
+      const operation = this._operationContext.getStore();
       this._log(
         "Sent HID report:",
         Array.from(this.currentReport)
@@ -424,42 +984,121 @@ class HIDKeyboard extends EventEmitter {
       );
       this.emit("reportSent", {
         modifiers,
-        keys,
+        keys: [...keys],
         report: Buffer.from(this.currentReport),
+        latency,
+        operation: operation ? operation.name : null,
+        origin: operation ? operation.origin : null,
       });
     } catch (error) {
       this._log("Failed to send HID report:", error.message);
       this.emit("error", error);
+
+      if (this._isDisconnectError(error)) {
+        await this._handleHostDetached(error);
+      }
       throw error;
+    } finally {
+      this._pendingWrite = null;
     }
   }
 
   /**
    * Release all keys (send empty report)
+   * An emergency release cancels all queued work, aborts the running
+   * operation and writes the empty report without waiting its turn.
+   * @param {Object} [options={}] - Release options
+   * @param {boolean} [options.emergency=false] - Preempt the queue
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @param {*} [options.origin] - Who asked for it, passed on with reportSent
    * @returns {Promise<void>}
    */
-  async releaseAll() {
+  async releaseAll(options = {}) {
+    if (options.emergency) {
+      return this._emergencyRelease(options.origin);
+    }
+
+    return this._enqueue("releaseAll", async () => {
+      await this._releaseAll();
+      this.emit("allKeysReleased", { emergency: false });
+    }, options);
+  }
+
+  /**
+   * Queued body of releaseAll
+   * @private
+   */
+  async _releaseAll() {
+    await this._sendReport(0, []);
     this.heldModifiers = 0;
     this.heldKeys = [];
-    await this.sendReport(0, []);
     this._log("Released all keys");
   }
 
+  /**
+   * Drop queued work, abort the running operation and release everything
+   * @private
+   * @param {*} [origin=null] - Who asked for it
+   * @returns {Promise<void>}
+   */
+  async _emergencyRelease(origin = null) {
+    const cancelled = this._queue.splice(0);
+    for (const operation of cancelled) {
+      operation.cleanup();
+      operation.reject(createAbortError(`${operation.name} cancelled by emergency release`));
+    }
+
+    if (this._activeOperation) {
+      this._activeOperation.preempted = true;
+      this._activeOperation.controller.abort();
+    }
+
+    // Let an in-flight write land first so the empty report is the last one
+    if (this._pendingWrite) {
+      await this._pendingWrite.catch(() => {});
+    }
+
+    // Run in a fresh context so the abort check does not apply
+    await this._operationContext.run(this._detachedOperation("emergencyRelease", origin), () =>
+      this._sendReport(0, [])
+    );
+    this.heldModifiers = 0;
+    this.heldKeys = [];
+
+    this._log(`Emergency release (cancelled ${cancelled.length} queued operations)`);
+    this.emit("emergencyRelease", { cancelled: cancelled.length });
+    this.emit("allKeysReleased", { emergency: true });
+  }
+
   /**
    * Hold a key or modifier without releasing it
    * Allows combining multiple keys/modifiers
    * @param {string} key - Key or modifier name to hold
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    * @throws {Error} If key is invalid or max keys reached
    */
-  async holdKey(key) {
+  async holdKey(key, options = {}) {
+    return this._enqueue("holdKey", () => this._holdKey(key), options);
+  }
+
+  /**
+   * Queued body of holdKey
+   * @private
+   */
+  async _holdKey(key) {
     const normalizedKey = key.toLowerCase().trim();
     
     // Check if it's a modifier
     if (normalizedKey in HIDKeyboard.MODIFIERS) {
       const modifierValue = HIDKeyboard.MODIFIERS[normalizedKey];
-      this.heldModifiers |= modifierValue;
-      await this.sendReport(this.heldModifiers, this.heldKeys);
+      // Commit held state only once the report has been written
+      const modifiers = this.heldModifiers | modifierValue;
+      await this._sendReport(modifiers, this.heldKeys);
+      this.heldModifiers = modifiers;
       this._log(`Holding modifier: ${key} (0x${modifierValue.toString(16)})`);
       this.emit('keyHeld', { key, type: 'modifier', value: modifierValue });
       return;
@@ -482,8 +1121,9 @@ class HIDKeyboard extends EventEmitter {
       throw new Error('Maximum 6 keys can be held simultaneously');
     }
     
-    this.heldKeys.push(keyCode);
-    await this.sendReport(this.heldModifiers, this.heldKeys);
+    const keys = [...this.heldKeys, keyCode];
+    await this._sendReport(this.heldModifiers, keys);
+    this.heldKeys = keys;
     this._log(`Holding key: ${key} (0x${keyCode.toString(16)})`);
     this.emit('keyHeld', { key, type: 'key', keyCode });
   }
@@ -491,16 +1131,28 @@ class HIDKeyboard extends EventEmitter {
   /**
    * Release a specific held key or modifier
    * @param {string} key - Key or modifier name to release
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    */
-  async releaseKey(key) {
+  async releaseKey(key, options = {}) {
+    return this._enqueue("releaseKey", () => this._releaseKey(key), options);
+  }
+
+  /**
+   * Queued body of releaseKey
+   * @private
+   */
+  async _releaseKey(key) {
     const normalizedKey = key.toLowerCase().trim();
     
     // Check if it's a modifier
     if (normalizedKey in HIDKeyboard.MODIFIERS) {
       const modifierValue = HIDKeyboard.MODIFIERS[normalizedKey];
-      this.heldModifiers &= ~modifierValue; // Clear the modifier bit
-      await this.sendReport(this.heldModifiers, this.heldKeys);
+      const modifiers = this.heldModifiers & ~modifierValue; // Clear the modifier bit
+      await this._sendReport(modifiers, this.heldKeys);
+      this.heldModifiers = modifiers;
       this._log(`Released modifier: ${key}`);
       this.emit('keyReleased', { key, type: 'modifier' });
       return;
@@ -515,8 +1167,9 @@ class HIDKeyboard extends EventEmitter {
     
     const keyIndex = this.heldKeys.indexOf(keyCode);
     if (keyIndex !== -1) {
-      this.heldKeys.splice(keyIndex, 1);
-      await this.sendReport(this.heldModifiers, this.heldKeys);
+      const keys = this.heldKeys.filter((_, index) => index !== keyIndex);
+      await this._sendReport(this.heldModifiers, keys);
+      this.heldKeys = keys;
       this._log(`Released key: ${key}`);
       this.emit('keyReleased', { key, type: 'key' });
     } else {
@@ -524,30 +1177,69 @@ class HIDKeyboard extends EventEmitter {
     }
   }
 
+  /**
+   * Release held modifier bits and key codes, whichever name pressed them
+   * @param {number} modifiers - Modifier bits to release
+   * @param {number[]} keyCodes - HID key codes to release
+   * @param {Object} [options={}] - Queue options
+   * @returns {Promise<void>}
+   */
+  async releaseUsages(modifiers, keyCodes, options = {}) {
+    return this._enqueue("releaseUsages", () => this._releaseUsages(modifiers, keyCodes), options);
+  }
+
+  /**
+   * Queued body of releaseUsages
+   * @private
+   */
+  async _releaseUsages(modifiers, keyCodes) {
+    const heldModifiers = this.heldModifiers & ~modifiers;
+    const heldKeys = this.heldKeys.filter((code) => !keyCodes.includes(code));
+    if (heldModifiers === this.heldModifiers && heldKeys.length === this.heldKeys.length) {
+      return;
+    }
+
+    await this._sendReport(heldModifiers, heldKeys);
+    this.heldModifiers = heldModifiers;
+    this.heldKeys = heldKeys;
+    this._log(`Released usages: modifiers 0x${modifiers.toString(16)}, keys ${keyCodes.join(", ")}`);
+  }
+
   /**
    * Press a key while maintaining currently held keys/modifiers
    * Useful for key combinations where some keys need to stay held
    * @param {string} key - Key to press
    * @param {Object} [options={}] - Press options
    * @param {number} [options.holdTime] - Hold duration in milliseconds
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    */
   async pressWithHeld(key, options = {}) {
+    return this._enqueue("pressWithHeld", () => this._pressWithHeld(key, options), options);
+  }
+
+  /**
+   * Queued body of pressWithHeld
+   * @private
+   */
+  async _pressWithHeld(key, options = {}) {
     const { holdTime = this.config.keyHoldTime } = options;
     
     // Temporarily add the key to held keys
-    const keyCode = this._resolveKeyCode(key);
-    if (keyCode === null) {
+    const resolved = this._resolveKey(key);
+    if (resolved === null) {
       throw new Error(`Unknown key: ${key}`);
     }
+    const { keyCode } = resolved;
     
     const tempKeys = [...this.heldKeys];
     if (!tempKeys.includes(keyCode) && tempKeys.length < 6) {
       tempKeys.push(keyCode);
     }
     
-    // Send the combined report
-    await this.sendReport(this.heldModifiers, tempKeys);
+    // Send the combined report (plus any modifiers the layout needs for this key)
+    await this._sendReport(this.heldModifiers | resolved.modifiers, tempKeys);
     this._log(`Pressed ${key} with held keys/modifiers`);
     
     // Hold for specified time
@@ -556,10 +1248,10 @@ class HIDKeyboard extends EventEmitter {
     }
     
     // Return to original held state
-    await this.sendReport(this.heldModifiers, this.heldKeys);
+    await this._sendReport(this.heldModifiers, this.heldKeys);
     await this._delay(10); // Brief inter-key delay
     
-    this.emit('keyPressedWithHeld', { key, keyCode, heldModifiers: this.heldModifiers, heldKeys: this.heldKeys });
+    this.emit('keyPressedWithHeld', { key, keyCode, holdTime, heldModifiers: this.heldModifiers, heldKeys: [...this.heldKeys] });
   }
 
   /**
@@ -569,27 +1261,49 @@ class HIDKeyboard extends EventEmitter {
    * @param {string[]} [options.modifiers=[]] - Modifier keys
    * @param {number} [options.holdTime] - Hold duration in milliseconds
    * @param {boolean} [options.autoRelease=true] - Auto-release after hold time
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    * @throws {Error} If key is invalid
    */
   async pressKey(key, options = {}) {
+    return this._enqueue("pressKey", () => this._pressKey(key, options), options);
+  }
+
+  /**
+   * Queued body of pressKey
+   * @private
+   */
+  async _pressKey(key, options = {}) {
+    const resolved = this._resolveKey(key);
+    if (resolved === null) {
+      throw new Error(`Unknown key: ${key}`);
+    }
+
+    await this._pressResolved(key, resolved, options);
+  }
+
+  /**
+   * Press an already resolved key
+   * @private
+   * @param {string} key - Key name or character (for logs and events)
+   * @param {{keyCode: number, modifiers: number}} resolved - Key code and layout modifiers
+   * @param {Object} [options={}] - Press options, as for pressKey
+   * @returns {Promise<void>}
+   */
+  async _pressResolved(key, { keyCode, modifiers: layoutModifiers }, options = {}) {
     const {
       modifiers = [],
       holdTime = this.config.keyHoldTime,
       autoRelease = this.config.autoRelease,
     } = options;
 
-    // Resolve key code
-    const keyCode = this._resolveKeyCode(key);
-    if (keyCode === null) {
-      throw new Error(`Unknown key: ${key}`);
-    }
-
     // Calculate modifier bitmask
-    const modifierMask = this._calculateModifierMask(modifiers);
+    const modifierMask =
+      this._calculateModifierMask(modifiers) | layoutModifiers;
 
     // Send key press
-    await this.sendReport(modifierMask, [keyCode]);
+    await this._sendReport(modifierMask, [keyCode]);
     this._log(
       `Pressed key: ${key} (0x${keyCode.toString(
         16
@@ -603,7 +1317,7 @@ class HIDKeyboard extends EventEmitter {
 
     // Auto-release if enabled
     if (autoRelease) {
-      await this.releaseAll();
+      await this._releaseAll();
       await this._delay(10); // Brief inter-key delay
     } else {
       // If not auto-releasing, update held state
@@ -614,13 +1328,103 @@ class HIDKeyboard extends EventEmitter {
     this.emit("keyPressed", { key, keyCode, modifiers, holdTime, autoRelease });
   }
 
+  /**
+   * Press a media key (volume, mute, play/pause, ...)
+   * @param {string} key - Media key name from MEDIA_KEYS or MEDIA_KEY_FALLBACKS
+   * @param {Object} [options={}] - Press options
+   * @param {number} [options.holdTime] - Hold duration in milliseconds
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
+   * @returns {Promise<void>}
+   * @throws {Error} If key is invalid or media keys are unavailable
+   */
+  async pressMediaKey(key, options = {}) {
+    return this._enqueue("pressMediaKey", () => this._pressMediaKey(key, options), options);
+  }
+
+  /**
+   * Queued body of pressMediaKey
+   * @private
+   */
+  async _pressMediaKey(key, options = {}) {
+    const { holdTime = this.config.mediaKeyHoldTime } = options;
+    const normalizedKey = key.toLowerCase().trim();
+
+    if (normalizedKey in HIDKeyboard.MEDIA_KEY_FALLBACKS) {
+      await this._pressKey(HIDKeyboard.MEDIA_KEY_FALLBACKS[normalizedKey], { holdTime });
+      this.emit("mediaKeyPressed", { key, holdTime });
+      return;
+    }
+
+    const usage = HIDKeyboard.MEDIA_KEYS[normalizedKey];
+    if (usage === undefined) {
+      throw new Error(`Unknown media key: ${key}`);
+    }
+
+    await this._sendMediaReport(usage);
+    this._log(`Pressed media key: ${key} (0x${usage.toString(16)})`);
+
+    try {
+      if (holdTime > 0) {
+        await this._delay(holdTime);
+      }
+    } finally {
+      // Never leave a media key down, even when aborted mid-press
+      await this._sendMediaReport(0);
+    }
+
+    this.emit("mediaKeyPressed", { key, usage, holdTime });
+  }
+
+  /**
+   * Write a 2-byte consumer control report
+   * @private
+   * @param {number} usage - Consumer page usage (0 releases)
+   * @returns {Promise<void>}
+   */
+  async _sendMediaReport(usage) {
+    if (!this.isConnected) {
+      throw new Error("Not connected to HID device");
+    }
+
+    if (!this.mediaConnected) {
+      throw new Error("Media keys are not available (no consumer control device)");
+    }
+
+    const report = Buffer.alloc(2);
+    report.writeUInt16LE(usage, 0);
+
+    try {
+      await this.mediaTransport.write(report);
+      this.emit("mediaReportSent", { usage, report });
+    } catch (error) {
+      this._log("Failed to send media report:", error.message);
+      this.emit("error", error);
+
+      if (this._isDisconnectError(error)) {
+        await this._handleHostDetached(error);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Send a key combination (e.g., "ctrl+c", "alt+f4")
    * @param {string} combination - Key combination string
-   * @param {Object} [options={}] - Press options
+   * @param {Object} [options={}] - Press and queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    */
   async sendKeyCombination(combination, options = {}) {
+    return this._enqueue("sendKeyCombination", () => this._sendKeyCombination(combination, options), options);
+  }
+
+  /**
+   * Queued body of sendKeyCombination
+   * @private
+   */
+  async _sendKeyCombination(combination, options = {}) {
     const parts = combination
       .toLowerCase()
       .split("+")
@@ -642,7 +1446,7 @@ class HIDKeyboard extends EventEmitter {
       }
     }
 
-    await this.pressKey(key, { ...options, modifiers });
+    await this._pressKey(key, { ...options, modifiers });
     this._log(`Sent key combination: ${combination}`);
     this.emit("combinationSent", { combination, modifiers, key });
   }
@@ -652,10 +1456,20 @@ class HIDKeyboard extends EventEmitter {
    * @param {string} text - Text to type
    * @param {Object} [options={}] - Typing options
    * @param {number} [options.delay] - Delay between characters (ms)
-   * @param {boolean} [options.preserveCase=true] - Handle uppercase/special chars
+   * @param {boolean} [options.preserveCase=true] - Type uppercase letters as uppercase
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
    */
   async typeText(text, options = {}) {
+    return this._enqueue("typeText", () => this._typeText(text, options), options);
+  }
+
+  /**
+   * Queued body of typeText
+   * @private
+   */
+  async _typeText(text, options = {}) {
     const { delay = this.config.defaultDelay, preserveCase = true } = options;
 
     this._log(`Typing text: "${text}"`);
@@ -664,14 +1478,13 @@ class HIDKeyboard extends EventEmitter {
       const char = text[i];
 
       try {
-        if (preserveCase && char in HIDKeyboard.SHIFT_CHARACTERS) {
-          // Character requires shift
-          const baseChar = HIDKeyboard.SHIFT_CHARACTERS[char];
-          await this.pressKey(baseChar, { modifiers: ["shift"] });
-        } else if (char === " ") {
-          await this.pressKey("space");
-        } else if (char.toLowerCase() in HIDKeyboard.KEY_CODES) {
-          await this.pressKey(char.toLowerCase());
+        // The host layout decides which key and modifiers produce the character
+        const resolved = this.layout.resolveCharacter(
+          preserveCase ? char : char.toLowerCase()
+        );
+
+        if (resolved) {
+          await this._pressResolved(char, resolved);
         } else {
           this._log(`Warning: Cannot type character '${char}' (skipping)`);
           this.emit("characterSkipped", { character: char, position: i });
@@ -683,6 +1496,9 @@ class HIDKeyboard extends EventEmitter {
           await this._delay(delay);
         }
       } catch (error) {
+        if (error.name === "AbortError") {
+          throw error;
+        }
         this._log(`Error typing character '${char}':`, error.message);
         this.emit("typingError", { character: char, position: i, error });
       }
@@ -694,20 +1510,80 @@ class HIDKeyboard extends EventEmitter {
 
   /**
    * Execute a sequence of keyboard actions
-   * @param {Array} actions - Array of action objects
+   * The whole sequence is validated before anything is sent. If it is
+   * cancelled through `options.signal`, everything is released.
+   * @param {Array|string} actions - Array of action objects, or the text
+   *   syntax from sequences.js (e.g. "ctrl down; w; s; d; wait 80; ctrl up")
+   * @param {Object} [options={}] - Queue options
+   * @param {number} [options.priority=0] - Queue priority (higher runs first)
+   * @param {AbortSignal} [options.signal] - Cancels the operation
    * @returns {Promise<void>}
+   * @throws {Error} If the sequence is malformed or an action fails
    *
    * @example
    * await keyboard.executeSequence([
    *   { type: 'key', key: 'ctrl+a' },
    *   { type: 'delay', duration: 100 },
    *   { type: 'text', text: 'Hello World' },
-   *   { type: 'key', key: 'enter' }
+   *   { type: 'key', key: 'enter' },
+   *   { type: 'hold', key: 'ctrl' },
+   *   { type: 'repeat', count: 2, actions: [{ type: 'pressWithHeld', key: 's' }] },
+   *   { type: 'waitForRelease', key: 'ctrl', timeout: 5000 },
+   *   { type: 'releaseKey', key: 'ctrl' }
    * ]);
    */
-  async executeSequence(actions) {
+  async executeSequence(actions, options = {}) {
+    const sequence = toActions(actions);
+
+    // Track releases from the moment the sequence is queued, so a client
+    // letting go before it starts still ends a waitForRelease step
+    const releases = { keys: new Set(), all: false, waiters: new Set() };
+    this._sequenceReleases.add(releases);
+
+    try {
+      return await this._enqueue(
+        "executeSequence",
+        () => this._executeSequence(sequence, releases),
+        options
+      );
+    } finally {
+      this._sequenceReleases.delete(releases);
+    }
+  }
+
+  /**
+   * Queued body of executeSequence
+   * @private
+   */
+  async _executeSequence(actions, releases) {
     this._log(`Executing sequence of ${actions.length} actions`);
 
+    try {
+      await this._runActions(actions, releases);
+    } catch (error) {
+      if (error.name === "AbortError") {
+        // Forget held state so the queue writes an empty report after the
+        // abort instead of restoring what the sequence was holding
+        this.heldModifiers = 0;
+        this.heldKeys = [];
+        this._log("Sequence aborted, releasing all keys");
+        this.emit("sequenceAborted", { actionCount: actions.length });
+      }
+      throw error;
+    }
+
+    this._log("Sequence execution completed");
+    this.emit("sequenceCompleted", { actionCount: actions.length });
+  }
+
+  /**
+   * Run a list of sequence actions (recursing into repeat blocks)
+   * @private
+   * @param {Object[]} actions - Validated actions
+   * @param {Object} releases - Release tracker of this sequence
+   * @returns {Promise<void>}
+   */
+  async _runActions(actions, releases) {
     for (let i = 0; i < actions.length; i++) {
       const action = actions[i];
 
@@ -715,14 +1591,14 @@ class HIDKeyboard extends EventEmitter {
         switch (action.type) {
           case "key":
             if (action.key.includes("+")) {
-              await this.sendKeyCombination(action.key, action.options);
+              await this._sendKeyCombination(action.key, action.options);
             } else {
-              await this.pressKey(action.key, action.options);
+              await this._pressKey(action.key, action.options);
             }
             break;
 
           case "text":
-            await this.typeText(action.text, action.options);
+            await this._typeText(action.text, action.options);
             break;
 
           case "delay":
@@ -730,7 +1606,30 @@ class HIDKeyboard extends EventEmitter {
             break;
 
           case "release":
-            await this.releaseAll();
+            await this._releaseAll();
+            this.emit("allKeysReleased", { emergency: false });
+            break;
+
+          case "hold":
+            await this._holdKey(action.key);
+            break;
+
+          case "releaseKey":
+            await this._releaseKey(action.key);
+            break;
+
+          case "pressWithHeld":
+            await this._pressWithHeld(action.key, action.options);
+            break;
+
+          case "repeat":
+            for (let n = 0; n < action.count; n++) {
+              await this._runActions(action.actions, releases);
+            }
+            break;
+
+          case "waitForRelease":
+            await this._waitForRelease(releases, action.key, action.timeout);
             break;
 
           default:
@@ -739,14 +1638,143 @@ class HIDKeyboard extends EventEmitter {
 
         this.emit("actionExecuted", { action, index: i });
       } catch (error) {
-        this._log(`Error executing action ${i}:`, error.message);
-        this.emit("sequenceError", { action, index: i, error });
+        // Report a failure once, where it happened, not for every enclosing repeat
+        if (!error.sequenceReported) {
+          error.sequenceReported = true;
+          this._log(`Error executing action ${i}:`, error.message);
+          this.emit("sequenceError", { action, index: i, error });
+        }
         throw error;
       }
     }
+  }
 
-    this._log("Sequence execution completed");
-    this.emit("sequenceCompleted", { actionCount: actions.length });
+  /**
+   * Record that a client let go of a key so waitForRelease steps can
+   * continue; releases arriving before the step are remembered. Only
+   * releases a client asked for count, so callers (the server's release
+   * commands) report them here rather than releaseKey/releaseAll, which
+   * also run for cleanup.
+   * @param {string|null} [key=null] - Released key, or null for releaseAll
+   */
+  notifyRelease(key = null) {
+    const normalizedKey = key === null ? null : String(key).toLowerCase().trim();
+
+    for (const state of this._sequenceReleases) {
+      if (normalizedKey === null) {
+        state.all = true;
+      } else {
+        state.keys.add(normalizedKey);
+      }
+
+      for (const waiter of state.waiters) {
+        if (normalizedKey === null || waiter.key === null || waiter.key === normalizedKey) {
+          waiter.resolve();
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait until a client releases a key (any key if none is given)
+   * @private
+   * @param {Object} state - Release tracker of the running sequence
+   * @param {string} [key] - Key to wait for
+   * @param {number} [timeout] - Give up waiting after this many ms
+   * @returns {Promise<void>}
+   */
+  _waitForRelease(state, key, timeout) {
+    const normalizedKey = key ? String(key).toLowerCase().trim() : null;
+
+    const alreadyReleased =
+      state.all ||
+      (normalizedKey === null ? state.keys.size > 0 : state.keys.has(normalizedKey));
+    if (alreadyReleased) {
+      this._consumeRelease(state, normalizedKey);
+      return Promise.resolve();
+    }
+
+    this._log(`Waiting for release of ${normalizedKey || "any key"}`);
+    const { signal } = this._operationContext.getStore().controller;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(createAbortError("executeSequence aborted"));
+        return;
+      }
+
+      const waiter = { key: normalizedKey };
+      let timer = null;
+
+      const finish = () => {
+        state.waiters.delete(waiter);
+        signal.removeEventListener("abort", onAbort);
+        clearTimeout(timer);
+      };
+      const onAbort = () => {
+        finish();
+        reject(createAbortError("executeSequence aborted"));
+      };
+
+      waiter.resolve = () => {
+        finish();
+        this._consumeRelease(state, normalizedKey);
+        resolve();
+      };
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          finish();
+          resolve();
+        }, timeout);
+      }
+
+      state.waiters.add(waiter);
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Forget a release once a waitForRelease step has used it, so a later
+   * step waits for the next one
+   * @private
+   */
+  _consumeRelease(state, key) {
+    if (key === null) {
+      state.keys.clear();
+    } else {
+      state.keys.delete(key);
+    }
+    state.all = false;
+  }
+
+  /**
+   * Check whether a key or modifier name can be sent on the current layout
+   * @param {string} key - Key name, character or modifier
+   * @returns {boolean}
+   */
+  isKnownKey(key) {
+    return this.resolveUsage(key) !== null;
+  }
+
+  /**
+   * HID usage a key or modifier name is held as on the current layout
+   * @param {string} key - Key name, character or modifier
+   * @returns {{modifiers: number, keyCode: number}|null} Modifier bit (keyCode 0)
+   *   or key code (modifiers 0), null for unknown keys
+   */
+  resolveUsage(key) {
+    if (typeof key !== "string") {
+      return null;
+    }
+
+    const normalizedKey = key.toLowerCase().trim();
+    if (normalizedKey in HIDKeyboard.MODIFIERS) {
+      return { modifiers: HIDKeyboard.MODIFIERS[normalizedKey], keyCode: 0 };
+    }
+
+    const keyCode = this._resolveKeyCode(key);
+    return keyCode === null ? null : { modifiers: 0, keyCode };
   }
 
   /**
@@ -754,40 +1782,46 @@ class HIDKeyboard extends EventEmitter {
    * @returns {Object} Object containing key categories
    */
   getAvailableKeys() {
-    const keys = HIDKeyboard.KEY_CODES;
+    const namedKeys = Object.keys(HIDKeyboard.KEY_CODES).filter(
+      (k) => k.length > 1
+    );
+    const characters = this.layout.getCharacters();
+    const navigation = [
+      "up",
+      "down",
+      "left",
+      "right",
+      "home",
+      "end",
+      "pageup",
+      "pagedown",
+    ];
 
     return {
-      letters: Object.keys(keys).filter((k) => /^[a-z]$/.test(k)),
-      numbers: Object.keys(keys).filter((k) => /^[0-9]$/.test(k)),
-      function: Object.keys(keys).filter((k) => /^f\d+$/.test(k)),
-      navigation: [
-        "up",
-        "down",
-        "left",
-        "right",
-        "home",
-        "end",
-        "pageup",
-        "pagedown",
-      ],
+      layout: this.layout.id,
+      letters: characters.filter((k) => /^[a-z]$/.test(k)),
+      numbers: characters.filter((k) => /^[0-9]$/.test(k)),
+      function: namedKeys.filter((k) => /^f\d+$/.test(k)),
+      navigation,
       modifiers: Object.keys(HIDKeyboard.MODIFIERS),
-      special: Object.keys(keys).filter(
-        (k) =>
-          !(
-            /^[a-z0-9]$/.test(k) ||
-            /^f\d+$/.test(k) ||
-            [
-              "up",
-              "down",
-              "left",
-              "right",
-              "home",
-              "end",
-              "pageup",
-              "pagedown",
-            ].includes(k)
-          )
-      ),
+      media: this.mediaConnected
+        ? [
+            ...Object.keys(HIDKeyboard.MEDIA_KEYS),
+            ...Object.keys(HIDKeyboard.MEDIA_KEY_FALLBACKS),
+          ]
+        : [],
+      special: [
+        ...namedKeys.filter(
+          (k) => !(/^f\d+$/.test(k) || navigation.includes(k))
+        ),
+        // Single-character keys typed without modifiers on this layout
+        ...characters.filter(
+          (k) =>
+            k.trim().length === 1 &&
+            !/^[a-z0-9]$/.test(k) &&
+            this.layout.resolveCharacter(k).modifiers === 0
+        ),
+      ],
     };
   }
 
@@ -798,8 +1832,26 @@ class HIDKeyboard extends EventEmitter {
    * @returns {number|null} HID key code or null if not found
    */
   _resolveKeyCode(key) {
+    const resolved = this._resolveKey(key);
+    return resolved ? resolved.keyCode : null;
+  }
+
+  /**
+   * Resolve key name to HID key code plus modifiers required by the layout
+   * Single characters go through the host layout, names through KEY_CODES
+   * @private
+   * @param {string} key - Key name or character
+   * @returns {{keyCode: number, modifiers: number}|null} Resolved key or null if not found
+   */
+  _resolveKey(key) {
     const normalizedKey = key.toLowerCase().trim();
-    return HIDKeyboard.KEY_CODES[normalizedKey] || null;
+
+    if (normalizedKey.length === 1) {
+      return this.layout.resolveCharacter(normalizedKey);
+    }
+
+    const keyCode = HIDKeyboard.KEY_CODES[normalizedKey];
+    return keyCode ? { keyCode, modifiers: 0 } : null;
   }
 
   /**
@@ -833,7 +1885,29 @@ class HIDKeyboard extends EventEmitter {
    * @returns {Promise<void>}
    */
   _delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+    // Delays inside a queued operation end early when it is aborted
+    const operation = this._operationContext.getStore();
+    if (!operation) {
+      return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    const { signal } = operation.controller;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(createAbortError(`${operation.name} aborted`));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError(`${operation.name} aborted`));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
   }
 
   /**
@@ -0,0 +1,172 @@
+/**
+ * Game Keybinding Profiles
+ * Named sets of stratagem menu and direction keys, resolved against the
+ * HID key tables so typos are caught when the profile is loaded
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const { HIDKeyboard } = require("./hid.js");
+
+/**
+ * Stratagem input code letter for each direction
+ * @readonly
+ */
+const DIRECTION_LETTERS = { up: "W", left: "A", down: "S", right: "D" };
+
+/**
+ * Menu key modes: "hold" keeps the key down while arrows are typed,
+ * "toggle" taps it once to open the menu
+ * @readonly
+ */
+const MENU_MODES = ["hold", "toggle"];
+
+/**
+ * Profiles available without any configuration
+ * @readonly
+ */
+const BUILTIN_PROFILES = {
+  default: {
+    menuKey: "ctrl",
+    menuMode: "hold",
+    directions: { up: "w", down: "s", left: "a", right: "d" },
+  },
+  arrows: {
+    menuKey: "ctrl",
+    menuMode: "hold",
+    directions: { up: "up", down: "down", left: "left", right: "right" },
+  },
+};
+
+/**
+ * Resolve a key name to its HID type
+ * @param {string} key - Key or modifier name
+ * @returns {string|null} "modifier", "key" or null if unknown
+ */
+function resolveKeyType(key) {
+  const normalizedKey = String(key).toLowerCase().trim();
+  if (normalizedKey in HIDKeyboard.MODIFIERS) return "modifier";
+  if (normalizedKey in HIDKeyboard.KEY_CODES) return "key";
+  return null;
+}
+
+/**
+ * Validate and normalize a profile definition
+ * @param {string} name - Profile name
+ * @param {Object} profile - Raw profile from config
+ * @returns {Object} Resolved profile
+ * @throws {Error} If a key is unknown or a field is missing
+ */
+function resolveProfile(name, profile) {
+  const menuKey = String(profile.menuKey || "").toLowerCase().trim();
+  const menuKeyType = resolveKeyType(menuKey);
+  if (!menuKeyType) {
+    throw new Error(`Profile "${name}" has unknown menu key: ${profile.menuKey}`);
+  }
+
+  const menuMode = profile.menuMode || "hold";
+  if (!MENU_MODES.includes(menuMode)) {
+    throw new Error(`Profile "${name}" has invalid menu mode: ${menuMode}`);
+  }
+
+  const directions = {};
+  for (const direction of Object.keys(DIRECTION_LETTERS)) {
+    const key = String((profile.directions || {})[direction] || "")
+      .toLowerCase()
+      .trim();
+    if (resolveKeyType(key) !== "key") {
+      throw new Error(
+        `Profile "${name}" has unknown ${direction} key: ${key || "(missing)"}`
+      );
+    }
+    directions[direction] = key;
+  }
+
+  return { name, menuKey, menuKeyType, menuMode, directions };
+}
+
+class KeybindingManager extends EventEmitter {
+  /**
+   * @param {Object} [config={}] - `keybindings` section of config.json
+   * @param {string} [config.active] - Name of the active profile
+   * @param {Object} [config.profiles] - Profiles keyed by name
+   */
+  constructor(config = {}) {
+    super();
+
+    this._profiles = {};
+    const profiles = { ...BUILTIN_PROFILES, ...config.profiles };
+    for (const [name, profile] of Object.entries(profiles)) {
+      this._profiles[name] = resolveProfile(name, profile);
+    }
+
+    this._active = null;
+    this.setActive(config.active || "default");
+  }
+
+  /**
+   * Names of all known profiles
+   * @returns {string[]}
+   */
+  getProfileNames() {
+    return Object.keys(this._profiles);
+  }
+
+  /**
+   * The resolved active profile
+   * @returns {Object}
+   */
+  getActive() {
+    return this._profiles[this._active];
+  }
+
+  /**
+   * Switch the active profile
+   * @param {string} name - Profile name
+   * @returns {Object} The newly active profile
+   * @throws {Error} If the profile does not exist
+   */
+  setActive(name) {
+    if (!(name in this._profiles)) {
+      throw new Error(`Unknown keybinding profile: ${name}`);
+    }
+
+    this._active = name;
+    this.emit("profileChanged", this._profiles[name]);
+    return this._profiles[name];
+  }
+
+  /**
+   * Key to send for a stratagem input code letter (W/A/S/D)
+   * @param {string} letter - Input code letter
+   * @returns {string} Key name in the active profile
+   */
+  keyForLetter(letter) {
+    const direction = Object.keys(DIRECTION_LETTERS).find(
+      (d) => DIRECTION_LETTERS[d] === letter
+    );
+    return this.getActive().directions[direction];
+  }
+
+  /**
+   * Serializable summary for clients
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      active: this._active,
+      profiles: this.getProfileNames(),
+      profile: this.getActive(),
+      directionLetters: DIRECTION_LETTERS,
+    };
+  }
+}
+
+module.exports = {
+  KeybindingManager,
+  resolveProfile,
+  BUILTIN_PROFILES,
+  DIRECTION_LETTERS,
+  MENU_MODES,
+};
@@ -0,0 +1,198 @@
+/**
+ * Host Keyboard Layouts
+ * HID usage codes describe physical key positions; the host OS decides which
+ * character each position produces. These tables map characters back to the
+ * position (and modifiers) that produce them on a given host layout.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Modifier bitmasks used by layout levels
+ * @readonly
+ */
+const LEVEL_MODIFIERS = {
+  base: 0x00,
+  shift: 0x02, // Left Shift
+  altgr: 0x40, // Right Alt
+};
+
+/**
+ * Usage codes of the character keys, in the order layout rows list them:
+ * ` 1-0 - = / q-p [ ] \ / a-l ; ' / z-m , . / / ISO extra key (0x64)
+ * @readonly
+ */
+const POSITIONS = [
+  0x35,
+  0x1e, 0x1f, 0x20, 0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x27, 0x2d, 0x2e,
+  0x14, 0x1a, 0x08, 0x15, 0x17, 0x1c, 0x18, 0x0c, 0x12, 0x13, 0x2f, 0x30, 0x31,
+  0x04, 0x16, 0x07, 0x09, 0x0a, 0x0b, 0x0d, 0x0e, 0x0f, 0x33, 0x34,
+  0x1d, 0x1b, 0x06, 0x19, 0x05, 0x11, 0x10, 0x36, 0x37, 0x38,
+  0x64,
+];
+
+/**
+ * Names of POSITIONS as labelled on a US keyboard ("iso" for the extra key
+ * left of Z on ISO boards), used to place sparse AltGr characters
+ * @readonly
+ */
+const POSITION_NAMES = "` 1 2 3 4 5 6 7 8 9 0 - = q w e r t y u i o p [ ] \\ a s d f g h j k l ; ' z x c v b n m , . / iso".split(" ");
+
+/**
+ * Characters that are the same on every layout
+ * @readonly
+ */
+const COMMON_CHARACTERS = {
+  " ": 0x2c,
+  "\n": 0x28,
+  "\t": 0x2b,
+};
+
+/**
+ * Layout definitions. The base and shift levels are whitespace separated
+ * lists of the characters produced at POSITIONS; "--" marks a position that
+ * produces nothing at that level (or only a dead key, which cannot be typed
+ * directly). The AltGr level maps characters to POSITION_NAMES.
+ * @readonly
+ */
+const LAYOUT_DEFINITIONS = {
+  us: {
+    name: "US QWERTY",
+    base: "` 1 2 3 4 5 6 7 8 9 0 - = q w e r t y u i o p [ ] \\ a s d f g h j k l ; ' z x c v b n m , . / --",
+    shift: "~ ! @ # $ % ^ & * ( ) _ + Q W E R T Y U I O P { } | A S D F G H J K L : \" Z X C V B N M < > ? --",
+    altgr: {},
+  },
+  fr: {
+    name: "French AZERTY",
+    base: "² & é \" ' ( - è _ ç à ) = a z e r t y u i o p -- $ * q s d f g h j k l m ù w x c v b n , ; : ! <",
+    shift: "-- 1 2 3 4 5 6 7 8 9 0 ° + A Z E R T Y U I O P -- £ µ Q S D F G H J K L M % W X C V B N ? . / § >",
+    altgr: { "#": "3", "{": "4", "[": "5", "|": "6", "\\": "8", "^": "9", "@": "0", "]": "-", "}": "=", "€": "e", "¤": "]" },
+  },
+  de: {
+    name: "German QWERTZ",
+    base: "-- 1 2 3 4 5 6 7 8 9 0 ß -- q w e r t z u i o p ü + # a s d f g h j k l ö ä y x c v b n m , . - <",
+    shift: "° ! \" § $ % & / ( ) = ? -- Q W E R T Z U I O P Ü * ' A S D F G H J K L Ö Ä Y X C V B N M ; : _ >",
+    altgr: { "²": "2", "³": "3", "{": "7", "[": "8", "]": "9", "}": "0", "\\": "-", "@": "q", "€": "e", "~": "]", "µ": "m", "|": "iso" },
+  },
+  dvorak: {
+    name: "US Dvorak",
+    base: "` 1 2 3 4 5 6 7 8 9 0 [ ] ' , . p y f g c r l / = \\ a o e u i d h t n s - ; q j k x b m w v z --",
+    shift: "~ ! @ # $ % ^ & * ( ) { } \" < > P Y F G C R L ? + | A O E U I D H T N S _ : Q J K X B M W V Z --",
+    altgr: {},
+  },
+};
+
+/**
+ * Split a level definition into per-position characters
+ * @private
+ * @param {string} layoutId - Layout identifier (for error messages)
+ * @param {string} level - Level name
+ * @param {string} definition - Level definition string
+ * @returns {Array<string|null>}
+ */
+function parseLevel(layoutId, level, definition) {
+  const characters = definition.split(/\s+/);
+  if (characters.length !== POSITIONS.length) {
+    throw new Error(
+      `Layout "${layoutId}" ${level} level has ${characters.length} keys, expected ${POSITIONS.length}`
+    );
+  }
+
+  return characters.map((char) => (char === "--" ? null : char));
+}
+
+class KeyboardLayout {
+  /**
+   * @param {string} id - Layout identifier (e.g. "fr")
+   * @param {Object} definition - Entry from LAYOUT_DEFINITIONS
+   */
+  constructor(id, definition) {
+    this.id = id;
+    this.name = definition.name;
+    this._characters = new Map();
+
+    for (const [char, keyCode] of Object.entries(COMMON_CHARACTERS)) {
+      this._characters.set(char, { keyCode, modifiers: 0 });
+    }
+
+    // Earlier levels win, so a character reachable without modifiers is
+    // never typed with them
+    for (const level of ["base", "shift"]) {
+      const characters = parseLevel(id, level, definition[level]);
+      characters.forEach((char, index) => {
+        if (char !== null) {
+          this._addCharacter(char, POSITIONS[index], LEVEL_MODIFIERS[level]);
+        }
+      });
+    }
+
+    for (const [char, positionName] of Object.entries(definition.altgr)) {
+      const index = POSITION_NAMES.indexOf(positionName);
+      if (index === -1) {
+        throw new Error(`Layout "${id}" has unknown AltGr position: ${positionName}`);
+      }
+      this._addCharacter(char, POSITIONS[index], LEVEL_MODIFIERS.altgr);
+    }
+  }
+
+  /**
+   * Register a character unless a lower level already produces it
+   * @private
+   */
+  _addCharacter(char, keyCode, modifiers) {
+    if (!this._characters.has(char)) {
+      this._characters.set(char, { keyCode, modifiers });
+    }
+  }
+
+  /**
+   * Find the key and modifiers producing a character on this layout
+   * @param {string} char - Single character
+   * @returns {{keyCode: number, modifiers: number}|null}
+   */
+  resolveCharacter(char) {
+    return this._characters.get(char) || null;
+  }
+
+  /**
+   * All characters this layout can type
+   * @returns {string[]}
+   */
+  getCharacters() {
+    return Array.from(this._characters.keys());
+  }
+}
+
+const layoutCache = new Map();
+
+/**
+ * Get a layout by identifier
+ * @param {string} id - One of the LAYOUT_DEFINITIONS keys
+ * @returns {KeyboardLayout}
+ * @throws {Error} If the layout is unknown
+ */
+function getLayout(id) {
+  const normalizedId = String(id).toLowerCase().trim();
+  if (!(normalizedId in LAYOUT_DEFINITIONS)) {
+    throw new Error(`Unknown keyboard layout: ${id}`);
+  }
+
+  if (!layoutCache.has(normalizedId)) {
+    layoutCache.set(
+      normalizedId,
+      new KeyboardLayout(normalizedId, LAYOUT_DEFINITIONS[normalizedId])
+    );
+  }
+
+  return layoutCache.get(normalizedId);
+}
+
+/**
+ * Identifiers of all bundled layouts
+ * @returns {string[]}
+ */
+function getLayoutIds() {
+  return Object.keys(LAYOUT_DEFINITIONS);
+}
+
+module.exports = { KeyboardLayout, getLayout, getLayoutIds, LEVEL_MODIFIERS };
@@ -0,0 +1,324 @@
+/**
+ * Stratagem Loadouts
+ * Named sets of the stratagems brought on a mission. While a loadout is
+ * active the pad only matches input against its stratagems and the mission
+ * stratagems every Helldiver has.
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const { normalizeInputCode } = require("./stratagems.js");
+
+/**
+ * Stratagems a loadout can hold, as in game
+ * @readonly
+ */
+const LOADOUT_SIZE = 4;
+
+/**
+ * Categories that are always available and never part of a loadout
+ * @readonly
+ */
+const ALWAYS_INCLUDED_CATEGORIES = /^(Mission|General)\b/i;
+
+/**
+ * Name reserved for the active loadout route (PUT /api/loadouts/active)
+ * @readonly
+ */
+const RESERVED_NAMES = ["active"];
+
+/**
+ * Whether a stratagem comes with every loadout
+ * @param {Object} stratagem - Stratagem definition
+ * @returns {boolean}
+ */
+function isAlwaysIncluded(stratagem) {
+  return ALWAYS_INCLUDED_CATEGORIES.test(stratagem.category || "");
+}
+
+/**
+ * Trim a loadout name and check it is usable
+ * @param {string} name - Loadout name
+ * @returns {string}
+ * @throws {Error} If the name is empty or reserved
+ */
+function normalizeLoadoutName(name) {
+  const normalizedName = String(name || "").trim();
+  if (!normalizedName) {
+    throw new Error("Loadout name must not be empty");
+  }
+  if (RESERVED_NAMES.includes(normalizedName.toLowerCase())) {
+    throw new Error(`Loadout name is reserved: ${normalizedName}`);
+  }
+  return normalizedName;
+}
+
+class LoadoutStore extends EventEmitter {
+  /**
+   * @param {string} filePath - Path to the loadouts JSON file
+   * @param {StratagemDatabase} stratagems - Database loadouts pick from
+   */
+  constructor(filePath, stratagems) {
+    super();
+
+    this._filePath = filePath;
+    this.stratagems = stratagems;
+    this._loadouts = new Map(); // Keyed by lower-case name
+    this._active = null; // Lower-case name of the active loadout
+  }
+
+  /**
+   * Read loadouts from disk; a missing file means none yet
+   * @returns {Object[]} Loadout summaries
+   */
+  load() {
+    if (!fs.existsSync(this._filePath)) {
+      this._loadouts = new Map();
+      this._active = null;
+      return [];
+    }
+
+    const data = JSON.parse(fs.readFileSync(this._filePath));
+    if (!data || !Array.isArray(data.loadouts)) {
+      throw new Error(`Loadout file must have a loadouts array: ${this._filePath}`);
+    }
+
+    this._loadouts = new Map(data.loadouts.map((loadout) => [loadout.name.toLowerCase(), loadout]));
+    const active = data.active ? String(data.active).toLowerCase() : null;
+    this._active = this._loadouts.has(active) ? active : null;
+
+    console.log(`[LoadoutStore] Loaded ${data.loadouts.length} loadouts`);
+    return this.list();
+  }
+
+  /**
+   * All loadouts with the names of their stratagems
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this._loadouts.values()).map((loadout) => ({
+      ...loadout,
+      active: loadout.name.toLowerCase() === this._active,
+    }));
+  }
+
+  /**
+   * Get a loadout by name (case-insensitive), with its stratagems resolved
+   * @param {string} name - Loadout name
+   * @returns {Object|null} `{ name, stratagems, included }` with full entries
+   */
+  get(name) {
+    const loadout = this._loadouts.get(String(name).trim().toLowerCase());
+    return loadout ? this._resolve(loadout) : null;
+  }
+
+  /**
+   * The active loadout, resolved
+   * @returns {Object|null}
+   */
+  getActive() {
+    return this._active ? this.get(this._active) : null;
+  }
+
+  /**
+   * Add a loadout
+   * @param {Object} loadout
+   * @param {string} loadout.name - Loadout name
+   * @param {string[]} loadout.stratagems - Up to four stratagem names
+   * @returns {Object} The stored loadout
+   * @throws {Error} If the name is taken or a stratagem cannot be picked
+   */
+  create({ name, stratagems }) {
+    const normalizedName = normalizeLoadoutName(name);
+    if (this._loadouts.has(normalizedName.toLowerCase())) {
+      throw new Error(`Loadout already exists: ${normalizedName}`);
+    }
+
+    const now = new Date().toISOString();
+    const loadout = {
+      name: normalizedName,
+      stratagems: this._validateStratagems(stratagems),
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._loadouts.set(normalizedName.toLowerCase(), loadout);
+    this._changed();
+    return loadout;
+  }
+
+  /**
+   * Change a loadout's stratagems and/or name
+   * @param {string} name - Current loadout name
+   * @param {Object} changes
+   * @param {string} [changes.name] - New name
+   * @param {string[]} [changes.stratagems] - New stratagem names
+   * @returns {Object} The stored loadout
+   * @throws {Error} If the loadout is unknown, the new name is taken or a
+   *   stratagem cannot be picked
+   */
+  update(name, changes) {
+    const key = String(name).trim().toLowerCase();
+    const loadout = this._loadouts.get(key);
+    if (!loadout) {
+      throw new Error(`Unknown loadout: ${name}`);
+    }
+
+    const newName = changes.name === undefined ? loadout.name : normalizeLoadoutName(changes.name);
+    const newKey = newName.toLowerCase();
+    if (newKey !== key && this._loadouts.has(newKey)) {
+      throw new Error(`Loadout already exists: ${newName}`);
+    }
+
+    const updated = {
+      ...loadout,
+      name: newName,
+      stratagems:
+        changes.stratagems === undefined
+          ? loadout.stratagems
+          : this._validateStratagems(changes.stratagems),
+      updatedAt: new Date().toISOString(),
+    };
+
+    this._loadouts.delete(key);
+    this._loadouts.set(newKey, updated);
+    if (this._active === key) this._active = newKey;
+    this._changed(this._active === newKey);
+    return updated;
+  }
+
+  /**
+   * Delete a loadout; deleting the active one deactivates it
+   * @param {string} name - Loadout name
+   * @throws {Error} If the loadout does not exist
+   */
+  delete(name) {
+    const key = String(name).trim().toLowerCase();
+    if (!this._loadouts.delete(key)) {
+      throw new Error(`Unknown loadout: ${name}`);
+    }
+
+    const wasActive = this._active === key;
+    if (wasActive) this._active = null;
+    this._changed(wasActive);
+  }
+
+  /**
+   * Make a loadout the one input is matched against
+   * @param {string|null} name - Loadout name, or null to match every stratagem
+   * @returns {Object|null} The active loadout, resolved
+   * @throws {Error} If the loadout does not exist
+   */
+  activate(name) {
+    const key = name === null || name === undefined ? null : String(name).trim().toLowerCase();
+    if (key !== null && !this._loadouts.has(key)) {
+      throw new Error(`Unknown loadout: ${name}`);
+    }
+
+    if (key !== this._active) {
+      this._active = key;
+      this._changed(true);
+    }
+    return this.getActive();
+  }
+
+  /**
+   * Stratagems input can match: the active loadout's plus the ones always
+   * included, or the whole database when no loadout is active
+   * @returns {Object[]}
+   */
+  getMatchable() {
+    const active = this.getActive();
+    return active ? [...active.stratagems, ...active.included] : this.stratagems.getAll();
+  }
+
+  /**
+   * Find a matchable stratagem by its exact input code
+   * @param {string|string[]} inputCode - Input code
+   * @returns {Object|null}
+   */
+  findByCode(inputCode) {
+    const code = normalizeInputCode(inputCode).join("");
+    return this.getMatchable().find((s) => s.inputCode.join("") === code) || null;
+  }
+
+  /**
+   * Loadout with stratagem names replaced by database entries; stratagems
+   * no longer in the database are left out
+   * @private
+   */
+  _resolve(loadout) {
+    return {
+      name: loadout.name,
+      stratagems: loadout.stratagems
+        .map((name) => this.stratagems.findByName(name))
+        .filter(Boolean),
+      included: this.stratagems.getAll().filter(isAlwaysIncluded),
+      active: loadout.name.toLowerCase() === this._active,
+      createdAt: loadout.createdAt,
+      updatedAt: loadout.updatedAt,
+    };
+  }
+
+  /**
+   * Check the picked stratagems and return their database names
+   * @private
+   * @throws {Error} If a stratagem is unknown, repeated or always included
+   */
+  _validateStratagems(names) {
+    if (!Array.isArray(names) || names.length === 0 || names.length > LOADOUT_SIZE) {
+      throw new Error(`A loadout needs 1 to ${LOADOUT_SIZE} stratagems`);
+    }
+
+    const picked = names.map((name) => {
+      const stratagem = this.stratagems.findByName(name);
+      if (!stratagem) {
+        throw new Error(`Unknown stratagem: ${name}`);
+      }
+      if (isAlwaysIncluded(stratagem)) {
+        throw new Error(`${stratagem.name} is always included`);
+      }
+      return stratagem.name;
+    });
+
+    const duplicate = picked.find((name, index) => picked.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`${duplicate} is picked twice`);
+    }
+    return picked;
+  }
+
+  /**
+   * Write the file and tell listeners
+   * @private
+   * @param {boolean} [activeChanged=false] - Whether matching changed
+   */
+  _changed(activeChanged = false) {
+    this._write();
+    this.emit("change", { loadouts: this.list(), active: this.getActive() });
+    if (activeChanged) {
+      this.emit("activeChanged", this.getActive());
+    }
+  }
+
+  /**
+   * Write all loadouts, replacing the file atomically
+   * @private
+   */
+  _write() {
+    const tempPath = `${this._filePath}.tmp`;
+    const active = this._active ? this._loadouts.get(this._active).name : null;
+    const data = { active, loadouts: Array.from(this._loadouts.values()) };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + "\n");
+    fs.renameSync(tempPath, this._filePath);
+  }
+}
+
+module.exports = {
+  LoadoutStore,
+  LOADOUT_SIZE,
+  ALWAYS_INCLUDED_CATEGORIES,
+  isAlwaysIncluded,
+  normalizeLoadoutName,
+};
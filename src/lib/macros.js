@@ -0,0 +1,307 @@
+/**
+ * Macro Recording and Playback
+ * Records what is sent through an HIDKeyboard as executeSequence actions
+ * (with the real timing between them) and keeps named macros on disk
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const { toActions } = require("./sequences.js");
+
+/**
+ * Gaps shorter than this (ms) are not recorded as delay actions
+ * @readonly
+ */
+const MIN_RECORDED_DELAY = 5;
+
+/**
+ * Normalize and validate a macro name
+ * @param {string} name - Macro name
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is empty
+ */
+function normalizeMacroName(name) {
+  const normalizedName = String(name || "").trim();
+  if (!normalizedName) {
+    throw new Error("Macro name is required");
+  }
+  return normalizedName;
+}
+
+class MacroRecorder extends EventEmitter {
+  /**
+   * @param {HIDKeyboard} keyboard - Keyboard whose events are recorded
+   */
+  constructor(keyboard) {
+    super();
+
+    this.keyboard = keyboard;
+    this._recording = null;
+
+    // Map keyboard events to the executeSequence action that replays them
+    this._listeners = {
+      reportSent: () => this._markReport(),
+      keyHeld: ({ key }) => this._record({ type: "hold", key }),
+      keyReleased: ({ key }) => this._record({ type: "releaseKey", key }),
+      keyPressed: ({ key, modifiers, holdTime, autoRelease }) => {
+        const options = { holdTime, autoRelease };
+        if (modifiers.length > 0) options.modifiers = [...modifiers];
+        this._record({ type: "key", key, options });
+      },
+      keyPressedWithHeld: ({ key, holdTime }) =>
+        this._record({ type: "pressWithHeld", key, options: { holdTime } }),
+      allKeysReleased: () => this._record({ type: "release" }),
+    };
+  }
+
+  /**
+   * Whether a recording is in progress
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this._recording !== null;
+  }
+
+  /**
+   * Name of the macro being recorded
+   * @returns {string|null}
+   */
+  get recordingName() {
+    return this._recording ? this._recording.name : null;
+  }
+
+  /**
+   * Start recording keyboard activity
+   * @param {string} name - Name the macro will be saved under
+   * @throws {Error} If a recording is already in progress
+   */
+  start(name) {
+    if (this._recording) {
+      throw new Error(`Already recording macro: ${this._recording.name}`);
+    }
+
+    this._recording = {
+      name: normalizeMacroName(name),
+      startedAt: Date.now(),
+      actions: [],
+      actionStart: null, // Time of the first report of the next action
+      lastActionEnd: null,
+    };
+
+    for (const [event, listener] of Object.entries(this._listeners)) {
+      this.keyboard.on(event, listener);
+    }
+
+    this.emit("started", { name: this._recording.name });
+  }
+
+  /**
+   * Stop recording and return the macro
+   * Keys still held at the end are released by a final action so playback
+   * never leaves anything down on the host.
+   * @returns {Object} Macro with name, recordedAt, duration and actions
+   * @throws {Error} If nothing is being recorded
+   */
+  stop() {
+    const recording = this._finish();
+
+    if (this.keyboard.heldKeys.length > 0 || this.keyboard.heldModifiers !== 0) {
+      recording.actions.push({ type: "release" });
+    }
+
+    const macro = {
+      name: recording.name,
+      recordedAt: new Date(recording.startedAt).toISOString(),
+      duration: Date.now() - recording.startedAt,
+      actions: recording.actions,
+    };
+
+    this.emit("stopped", macro);
+    return macro;
+  }
+
+  /**
+   * Stop recording and discard everything recorded
+   * @throws {Error} If nothing is being recorded
+   */
+  cancel() {
+    const { name } = this._finish();
+    this.emit("cancelled", { name });
+  }
+
+  /**
+   * Detach from the keyboard and end the current recording
+   * @private
+   * @returns {Object} The finished recording
+   */
+  _finish() {
+    if (!this._recording) {
+      throw new Error("Not recording a macro");
+    }
+
+    for (const [event, listener] of Object.entries(this._listeners)) {
+      this.keyboard.off(event, listener);
+    }
+
+    const recording = this._recording;
+    this._recording = null;
+    return recording;
+  }
+
+  /**
+   * Remember when the current action first reached the host; action events
+   * fire once the action is finished, after any hold time
+   * @private
+   */
+  _markReport() {
+    if (this._recording.actionStart === null) {
+      this._recording.actionStart = Date.now();
+    }
+  }
+
+  /**
+   * Append an action, preceded by the idle time since the previous one
+   * @private
+   * @param {Object} action - executeSequence action
+   */
+  _record(action) {
+    const recording = this._recording;
+    const now = Date.now();
+    const start = recording.actionStart !== null ? recording.actionStart : now;
+
+    if (recording.lastActionEnd !== null) {
+      const gap = start - recording.lastActionEnd;
+      if (gap >= MIN_RECORDED_DELAY) {
+        recording.actions.push({ type: "delay", duration: gap });
+      }
+    }
+
+    recording.actions.push(action);
+    recording.actionStart = null;
+    recording.lastActionEnd = now;
+    this.emit("actionRecorded", action);
+  }
+}
+
+class MacroStore {
+  /**
+   * @param {string} filePath - Path to the macros JSON file
+   * @param {Object} [definitions={}] - Hand-written macros from config.json,
+   *   keyed by name; each is an action array or sequence text
+   */
+  constructor(filePath, definitions = {}) {
+    this._filePath = filePath;
+    this._macros = new Map();
+    this._definitions = new Map();
+
+    for (const [name, sequence] of Object.entries(definitions)) {
+      try {
+        this._definitions.set(name, { name, actions: toActions(sequence) });
+      } catch (error) {
+        throw new Error(`Macro "${name}" in config is invalid: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Read macros from disk; a missing file means no macros yet
+   * @returns {Object[]} Loaded macros
+   */
+  load() {
+    if (!fs.existsSync(this._filePath)) {
+      this._macros = new Map();
+      return [];
+    }
+
+    const macros = JSON.parse(fs.readFileSync(this._filePath));
+    if (!Array.isArray(macros)) {
+      throw new Error(`Macro file must be an array: ${this._filePath}`);
+    }
+
+    this._macros = new Map(macros.map((macro) => [macro.name, macro]));
+    console.log(`[MacroStore] Loaded ${macros.length} macros`);
+    return macros;
+  }
+
+  /**
+   * Summaries of all macros (without their actions); recorded macros
+   * shadow config macros of the same name
+   * @returns {Object[]}
+   */
+  list() {
+    const summaries = new Map();
+    for (const { name, actions } of this._definitions.values()) {
+      summaries.set(name, { name, source: "config", actionCount: actions.length });
+    }
+    for (const { name, recordedAt, duration, actions } of this._macros.values()) {
+      summaries.set(name, {
+        name,
+        source: "recorded",
+        recordedAt,
+        duration,
+        actionCount: typeof actions === "string" ? toActions(actions).length : actions.length,
+      });
+    }
+    return Array.from(summaries.values());
+  }
+
+  /**
+   * Get a macro by name
+   * @param {string} name - Macro name
+   * @returns {Object|null}
+   */
+  get(name) {
+    const normalizedName = normalizeMacroName(name);
+    return (
+      this._macros.get(normalizedName) ||
+      this._definitions.get(normalizedName) ||
+      null
+    );
+  }
+
+  /**
+   * Add or replace a macro and write the file
+   * @param {Object} macro - Macro with name and actions (array or sequence text)
+   * @returns {Object} The stored macro
+   */
+  save(macro) {
+    const name = normalizeMacroName(macro.name);
+    toActions(macro.actions);
+
+    const stored = { ...macro, name };
+    this._macros.set(name, stored);
+    this._write();
+    return stored;
+  }
+
+  /**
+   * Delete a macro and write the file
+   * @param {string} name - Macro name
+   * @throws {Error} If the macro does not exist
+   */
+  delete(name) {
+    const normalizedName = normalizeMacroName(name);
+    if (!this._macros.delete(normalizedName)) {
+      if (this._definitions.has(normalizedName)) {
+        throw new Error(`Macro "${name}" is defined in config.json`);
+      }
+      throw new Error(`Unknown macro: ${name}`);
+    }
+    this._write();
+  }
+
+  /**
+   * Write all macros, replacing the file atomically
+   * @private
+   */
+  _write() {
+    const tempPath = `${this._filePath}.tmp`;
+    const macros = Array.from(this._macros.values());
+    fs.writeFileSync(tempPath, JSON.stringify(macros, null, 2) + "\n");
+    fs.renameSync(tempPath, this._filePath);
+  }
+}
+
+module.exports = { MacroRecorder, MacroStore, normalizeMacroName };
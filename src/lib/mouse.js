@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+
+/**
+ * USB HID Mouse Controller for Raspberry Pi 4
+ * Node.js Implementation
+ *
+ * Companion to HIDKeyboard that writes relative mouse reports to a second
+ * HID gadget function (buttons, x/y movement and wheel).
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const { HIDTransport, createTransport } = require("./transports.js");
+
+/**
+ * USB HID Mouse Controller Class
+ * Reports are 4 bytes: [buttons, x, y, wheel] with signed 8-bit movement
+ */
+class HIDMouse extends EventEmitter {
+  /**
+   * HID device path on the system
+   * @static
+   * @readonly
+   */
+  static get HID_DEVICE() {
+    return "/dev/hidg1";
+  }
+
+  /**
+   * Button bitmasks for HID reports
+   * @static
+   * @readonly
+   */
+  static get BUTTONS() {
+    return {
+      left: 0x01,
+      right: 0x02,
+      middle: 0x04,
+    };
+  }
+
+  /**
+   * Largest movement a single report can carry
+   * @static
+   * @readonly
+   */
+  static get MAX_STEP() {
+    return 127;
+  }
+
+  /**
+   * Largest movement a single move() accepts on each axis, so one call
+   * cannot queue an endless stream of reports
+   * @static
+   * @readonly
+   */
+  static get MAX_MOVEMENT() {
+    return 10000;
+  }
+
+  /**
+   * Default configuration options
+   * @static
+   * @readonly
+   */
+  static get DEFAULT_CONFIG() {
+    return {
+      devicePath: HIDMouse.HID_DEVICE,
+      transport: "device", // "device", "memory", "file" or an HIDTransport
+      filePath: null, // Output path for the "file" transport
+      clickHoldTime: 50, // milliseconds
+      enableLogging: false,
+    };
+  }
+
+  /**
+   * Initialize HID Mouse controller
+   * @param {Object} options - Configuration options
+   * @param {string} [options.devicePath] - Custom HID device path
+   * @param {string|HIDTransport} [options.transport] - Report transport type or instance
+   * @param {string} [options.filePath] - Output path for the "file" transport
+   * @param {number} [options.clickHoldTime] - How long a click holds the button (ms)
+   * @param {boolean} [options.enableLogging] - Enable debug logging
+   */
+  constructor(options = {}) {
+    super();
+
+    this.config = { ...HIDMouse.DEFAULT_CONFIG, ...options };
+    this.transport =
+      this.config.transport instanceof HIDTransport
+        ? this.config.transport
+        : createTransport(this.config.transport, this.config);
+    this.isConnected = false;
+    this.currentReport = Buffer.alloc(4); // 4-byte HID report
+
+    // Bitmask of held buttons
+    this.heldButtons = 0;
+
+    // Reports are written one operation at a time
+    this._pending = Promise.resolve();
+
+    this._log("HIDMouse initialized with config:", this.config);
+  }
+
+  /**
+   * Internal logging method
+   * @private
+   * @param {...*} args - Arguments to log
+   */
+  _log(...args) {
+    if (this.config.enableLogging) {
+      console.log("[HIDMouse]", ...args);
+    }
+  }
+
+  /**
+   * Run an operation after all previously started ones
+   * @private
+   * @param {Function} task - Async function performing the operation
+   * @returns {Promise<*>} Result of the task
+   */
+  _serialize(task) {
+    const result = this._pending.then(task);
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Connect to HID device
+   * @returns {Promise<boolean>} Connection success status
+   * @throws {Error} If device connection fails
+   */
+  async connect() {
+    return this._serialize(async () => {
+      if (this.isConnected) {
+        return true;
+      }
+
+      try {
+        await this.transport.open();
+        this.isConnected = true;
+        this.heldButtons = 0;
+
+        this._log(`Successfully connected to HID mouse (${this.transport.name})`);
+        this.emit("connected");
+
+        return true;
+      } catch (error) {
+        this.isConnected = false;
+
+        this._log("Failed to connect:", error.message);
+        this.emit("error", error);
+
+        throw new Error(`Failed to connect to HID mouse: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Disconnect from HID device
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    return this._serialize(async () => {
+      if (!this.isConnected) {
+        return;
+      }
+
+      try {
+        await this._sendReport(0, 0, 0, 0);
+        await this.transport.close();
+        this.isConnected = false;
+        this.heldButtons = 0;
+
+        this._log("Disconnected from HID mouse");
+        this.emit("disconnected");
+      } catch (error) {
+        this._log("Error during disconnect:", error.message);
+        this.emit("error", error);
+      }
+    });
+  }
+
+  /**
+   * Send raw HID mouse report
+   * @param {number} [buttons=0] - Button bitmask
+   * @param {number} [x=0] - Horizontal movement (-127 to 127)
+   * @param {number} [y=0] - Vertical movement (-127 to 127)
+   * @param {number} [wheel=0] - Wheel movement (-127 to 127)
+   * @returns {Promise<void>}
+   * @throws {Error} If not connected or write fails
+   */
+  async sendReport(buttons = 0, x = 0, y = 0, wheel = 0) {
+    return this._serialize(() => this._sendReport(buttons, x, y, wheel));
+  }
+
+  /**
+   * Write a report without queueing
+   * @private
+   */
+  async _sendReport(buttons, x, y, wheel) {
+    if (!this.isConnected) {
+      throw new Error("Not connected to HID mouse");
+    }
+
+    if (buttons < 0 || buttons > 7) {
+      throw new Error("Invalid button bitmask");
+    }
+
+    for (const value of [x, y, wheel]) {
+      if (!Number.isInteger(value) || Math.abs(value) > HIDMouse.MAX_STEP) {
+        throw new Error(
+          `Movement must be an integer between -${HIDMouse.MAX_STEP} and ${HIDMouse.MAX_STEP}`
+        );
+      }
+    }
+
+    // Build HID report: [buttons, x, y, wheel] (movement as signed bytes)
+    this.currentReport[0] = buttons;
+    this.currentReport.writeInt8(x, 1);
+    this.currentReport.writeInt8(y, 2);
+    this.currentReport.writeInt8(wheel, 3);
+
+    try {
+      await this.transport.write(this.currentReport);
+      this._log(
+        "Sent HID mouse report:",
+        Array.from(this.currentReport)
+          .map((b) => `0x${b.toString(16).padStart(2, "0")}`)
+          .join(" ")
+      );
+      this.emit("reportSent", {
+        buttons,
+        x,
+        y,
+        wheel,
+        report: Buffer.from(this.currentReport),
+      });
+    } catch (error) {
+      this._log("Failed to send HID mouse report:", error.message);
+      this.emit("error", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Press and hold a button
+   * @param {string} [button="left"] - Button name
+   * @returns {Promise<void>}
+   * @throws {Error} If the button is unknown
+   */
+  async press(button = "left") {
+    const mask = this._resolveButton(button);
+    return this._serialize(async () => {
+      const buttons = this.heldButtons | mask;
+      await this._sendReport(buttons, 0, 0, 0);
+      this.heldButtons = buttons;
+      this.emit("buttonPressed", { button });
+    });
+  }
+
+  /**
+   * Release a held button
+   * @param {string} [button="left"] - Button name
+   * @returns {Promise<void>}
+   * @throws {Error} If the button is unknown
+   */
+  async release(button = "left") {
+    const mask = this._resolveButton(button);
+    return this._serialize(async () => {
+      const buttons = this.heldButtons & ~mask;
+      await this._sendReport(buttons, 0, 0, 0);
+      this.heldButtons = buttons;
+      this.emit("buttonReleased", { button });
+    });
+  }
+
+  /**
+   * Click a button (press, hold briefly, release)
+   * @param {string} [button="left"] - Button name
+   * @param {Object} [options={}] - Click options
+   * @param {number} [options.holdTime] - Hold duration in milliseconds
+   * @returns {Promise<void>}
+   */
+  async click(button = "left", options = {}) {
+    const { holdTime = this.config.clickHoldTime } = options;
+    const mask = this._resolveButton(button);
+
+    return this._serialize(async () => {
+      await this._sendReport(this.heldButtons | mask, 0, 0, 0);
+      if (holdTime > 0) {
+        await this._delay(holdTime);
+      }
+      await this._sendReport(this.heldButtons, 0, 0, 0);
+
+      this._log(`Clicked ${button}`);
+      this.emit("clicked", { button, holdTime });
+    });
+  }
+
+  /**
+   * Move the pointer (and optionally the wheel) by a relative amount
+   * Large movements are split across several reports
+   * @param {number} x - Horizontal movement
+   * @param {number} y - Vertical movement
+   * @param {number} [wheel=0] - Wheel movement
+   * @returns {Promise<void>}
+   */
+  async move(x, y, wheel = 0) {
+    for (const value of [x, y, wheel]) {
+      if (!Number.isInteger(value)) {
+        throw new Error("Movement must be an integer");
+      }
+      if (Math.abs(value) > HIDMouse.MAX_MOVEMENT) {
+        throw new Error(`Movement must be between -${HIDMouse.MAX_MOVEMENT} and ${HIDMouse.MAX_MOVEMENT}`);
+      }
+    }
+
+    return this._serialize(async () => {
+      let remaining = { x, y, wheel };
+      while (remaining.x !== 0 || remaining.y !== 0 || remaining.wheel !== 0) {
+        const step = {
+          x: this._clampStep(remaining.x),
+          y: this._clampStep(remaining.y),
+          wheel: this._clampStep(remaining.wheel),
+        };
+        await this._sendReport(this.heldButtons, step.x, step.y, step.wheel);
+        remaining = {
+          x: remaining.x - step.x,
+          y: remaining.y - step.y,
+          wheel: remaining.wheel - step.wheel,
+        };
+      }
+
+      this.emit("moved", { x, y, wheel });
+    });
+  }
+
+  /**
+   * Scroll the wheel
+   * @param {number} amount - Wheel movement (positive scrolls up)
+   * @returns {Promise<void>}
+   */
+  async scroll(amount) {
+    return this.move(0, 0, amount);
+  }
+
+  /**
+   * Release all buttons
+   * @returns {Promise<void>}
+   */
+  async releaseAll() {
+    return this._serialize(async () => {
+      await this._sendReport(0, 0, 0, 0);
+      this.heldButtons = 0;
+      this._log("Released all buttons");
+    });
+  }
+
+  /**
+   * Resolve a button name to its bitmask
+   * @private
+   * @param {string} button - Button name
+   * @returns {number} Button bitmask
+   * @throws {Error} If the button is unknown
+   */
+  _resolveButton(button) {
+    const mask = HIDMouse.BUTTONS[String(button).toLowerCase().trim()];
+    if (mask === undefined) {
+      throw new Error(`Unknown mouse button: ${button}`);
+    }
+    return mask;
+  }
+
+  /**
+   * Clamp a movement to what one report can carry
+   * @private
+   * @param {number} value - Remaining movement
+   * @returns {number}
+   */
+  _clampStep(value) {
+    return Math.max(-HIDMouse.MAX_STEP, Math.min(HIDMouse.MAX_STEP, value));
+  }
+
+  /**
+   * Utility method for delays
+   * @private
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise<void>}
+   */
+  _delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Clean up resources and disconnect
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await this.disconnect();
+    this.removeAllListeners();
+    this._log("HIDMouse destroyed");
+  }
+}
+
+module.exports = { HIDMouse };
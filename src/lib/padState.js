@@ -0,0 +1,191 @@
+/**
+ * Shared Pad State
+ * Canonical state of the stratagem pad, derived from what is actually sent
+ * through the keyboard so every connected frontend renders the same thing,
+ * whichever client (or REST caller, or macro) caused it
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const { DIRECTION_LETTERS } = require("./keybindings.js");
+
+/**
+ * Shallow equality good enough for the JSON values kept in pad state
+ * @private
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class PadState extends EventEmitter {
+  /**
+   * @param {Object} sources
+   * @param {HIDKeyboard} sources.keyboard - Keyboard whose events drive the state
+   * @param {KeybindingManager} sources.keybindings - Menu and direction keys
+   * @param {StratagemDatabase} sources.stratagems - Database used to match input
+   * @param {LoadoutStore} [sources.loadouts] - Limits matching to the active loadout
+   */
+  constructor({ keyboard, keybindings, stratagems, loadouts = null }) {
+    super();
+
+    this.keyboard = keyboard;
+    this.keybindings = keybindings;
+    this.stratagems = stratagems;
+    this.loadouts = loadouts;
+
+    this._state = {
+      menuActive: false, // Menu key held (or tapped open in toggle mode)
+      currentInput: [], // Direction letters typed since the menu opened
+      lastStratagem: null, // Last completed stratagem
+      hidConnected: keyboard.isConnected,
+    };
+    this._inputStartedAt = null; // When the first arrow of the current input went down
+
+    keyboard.on("keyHeld", ({ key }) => this._onMenuKey(key, "hold"));
+    keyboard.on("keyReleased", ({ key }) => {
+      if (this._isMenuKey(key)) this._closeMenu();
+    });
+    keyboard.on("keyPressed", ({ key, holdTime }) => {
+      if (!this._onMenuKey(key, "toggle")) this._onDirectionKey(key, holdTime);
+    });
+    keyboard.on("keyPressedWithHeld", ({ key, holdTime }) => this._onDirectionKey(key, holdTime));
+    keyboard.on("allKeysReleased", () => this._closeMenu());
+    keyboard.on("connected", () => this.update({ hidConnected: true }));
+    keyboard.on("disconnected", () =>
+      this.update({ hidConnected: false, menuActive: false, currentInput: [] })
+    );
+
+    // Input typed with the previous profile no longer means anything
+    keybindings.on("profileChanged", () => this._closeMenu());
+    if (loadouts) {
+      loadouts.on("activeChanged", () => this.update({ currentInput: [] }));
+    }
+  }
+
+  /**
+   * Copy of the full state
+   * @returns {Object}
+   */
+  getState() {
+    return JSON.parse(JSON.stringify(this._state));
+  }
+
+  /**
+   * Apply changes and emit the fields that actually changed
+   * @param {Object} changes - Partial state
+   * @returns {Object} The diff (empty if nothing changed)
+   */
+  update(changes) {
+    const diff = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (!sameValue(this._state[field], value)) {
+        this._state[field] = value;
+        diff[field] = value;
+      }
+    }
+
+    if (Object.keys(diff).length > 0) {
+      this.emit("change", JSON.parse(JSON.stringify(diff)));
+    }
+    return diff;
+  }
+
+  /**
+   * Record a stratagem as activated
+   * @param {Object} stratagem - Stratagem (or ad-hoc entry with name null)
+   * @param {number} [inputTime] - Time from the first arrow to completion (ms)
+   */
+  activate(stratagem, inputTime = null) {
+    const { name = null, inputCode, category, color, icon } = stratagem;
+    this.update({
+      lastStratagem: {
+        name,
+        inputCode: [...inputCode],
+        category: category || null,
+        color: color || null,
+        icon: icon || null,
+        activatedAt: new Date().toISOString(),
+        inputTime,
+      },
+    });
+    this.emit("stratagemActivated", this._state.lastStratagem);
+  }
+
+  /**
+   * Check whether a key is the active profile's menu key
+   * @private
+   */
+  _isMenuKey(key) {
+    return String(key).toLowerCase().trim() === this.keybindings.getActive().menuKey;
+  }
+
+  /**
+   * Open the menu if the key is the menu key used the given way
+   * @private
+   * @returns {boolean} Whether the key was the menu key
+   */
+  _onMenuKey(key, mode) {
+    if (!this._isMenuKey(key)) {
+      return false;
+    }
+
+    if (this.keybindings.getActive().menuMode === mode) {
+      this.update({ menuActive: true, currentInput: [] });
+    }
+    return true;
+  }
+
+  /**
+   * Append a direction typed while the menu is open and look for a match
+   * @private
+   * @param {string} key - Key that was pressed
+   * @param {number} [holdTime=0] - How long it was held; events fire on release
+   */
+  _onDirectionKey(key, holdTime = 0) {
+    if (!this._state.menuActive) {
+      return;
+    }
+
+    const normalizedKey = String(key).toLowerCase().trim();
+    const { directions } = this.keybindings.getActive();
+    const direction = Object.keys(directions).find((d) => directions[d] === normalizedKey);
+    if (!direction) {
+      return;
+    }
+
+    if (this._state.currentInput.length === 0) {
+      this._inputStartedAt = Date.now() - (holdTime || 0);
+    }
+
+    const currentInput = [...this._state.currentInput, DIRECTION_LETTERS[direction]];
+    this.update({ currentInput });
+
+    const stratagem = (this.loadouts || this.stratagems).findByCode(currentInput);
+    if (stratagem) {
+      this.activate(stratagem, Date.now() - this._inputStartedAt);
+    } else if (currentInput.length >= this._maxCodeLength()) {
+      // No stratagem is this long, start over
+      this.update({ currentInput: [] });
+    }
+  }
+
+  /**
+   * Length of the longest input code that can still match
+   * @private
+   */
+  _maxCodeLength() {
+    const candidates = this.loadouts ? this.loadouts.getMatchable() : this.stratagems.getAll();
+    return Math.max(...candidates.map((s) => s.inputCode.length));
+  }
+
+  /**
+   * Close the menu and forget the typed input
+   * @private
+   */
+  _closeMenu() {
+    this.update({ menuActive: false, currentInput: [] });
+  }
+}
+
+module.exports = { PadState };
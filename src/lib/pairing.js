@@ -0,0 +1,228 @@
+/**
+ * Device Pairing
+ * Short-lived PINs shown on the kiosk are exchanged for per-device tokens,
+ * so phones on the LAN can use the pad without opening it to the whole
+ * network. Only a hash of each token is kept on disk.
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * What each role may do
+ * @readonly
+ */
+const ROLES = {
+  full: "Full keyboard, macros, device management",
+  stratagems: "Stratagem input only (menu and direction keys)",
+};
+
+/**
+ * Default pairing settings
+ * @readonly
+ */
+const DEFAULT_PAIRING_CONFIG = {
+  pinLength: 6,
+  pinTimeout: 120000, // How long a PIN can be used (ms)
+  maxPinAttempts: 5, // Wrong guesses before the PIN is discarded
+  defaultRole: "stratagems",
+};
+
+/**
+ * Hash a token for storage and lookup
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+class PairingManager extends EventEmitter {
+  /**
+   * @param {string} filePath - Path to the paired devices JSON file
+   * @param {Object} [options={}] - Pairing settings (see DEFAULT_PAIRING_CONFIG)
+   */
+  constructor(filePath, options = {}) {
+    super();
+
+    this._filePath = filePath;
+    this.config = { ...DEFAULT_PAIRING_CONFIG, ...options };
+    if (!(this.config.defaultRole in ROLES)) {
+      throw new Error(`Unknown default role: ${this.config.defaultRole}`);
+    }
+
+    this._devices = new Map(); // Keyed by device id
+    this._pin = null; // { pin, role, expiresAt, attempts }
+  }
+
+  /**
+   * Read paired devices from disk; a missing file means none yet
+   * @returns {Object[]} Paired devices (without token hashes)
+   */
+  load() {
+    if (!fs.existsSync(this._filePath)) {
+      this._devices = new Map();
+      return [];
+    }
+
+    const devices = JSON.parse(fs.readFileSync(this._filePath));
+    if (!Array.isArray(devices)) {
+      throw new Error(`Device file must be an array: ${this._filePath}`);
+    }
+
+    this._devices = new Map(devices.map((device) => [device.id, device]));
+    console.log(`[Pairing] Loaded ${devices.length} paired devices`);
+    return this.list();
+  }
+
+  /**
+   * Paired devices, without their token hashes
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this._devices.values()).map(({ tokenHash, ...device }) => device);
+  }
+
+  /**
+   * Issue a new PIN, replacing any PIN that was still valid
+   * @param {string} [role] - Role granted to the device that uses the PIN
+   * @returns {{pin: string, role: string, expiresAt: string}}
+   */
+  createPin(role = this.config.defaultRole) {
+    if (!(role in ROLES)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const pin = String(crypto.randomInt(0, 10 ** this.config.pinLength)).padStart(
+      this.config.pinLength,
+      "0"
+    );
+    this._pin = { pin, role, expiresAt: Date.now() + this.config.pinTimeout, attempts: 0 };
+
+    console.log(`[Pairing] New PIN issued for role: ${role}`);
+    return this.getPin();
+  }
+
+  /**
+   * The PIN currently accepted, if any
+   * @returns {{pin: string, role: string, expiresAt: string}|null}
+   */
+  getPin() {
+    if (this._pin && Date.now() >= this._pin.expiresAt) {
+      this._pin = null;
+    }
+    if (!this._pin) return null;
+
+    const { pin, role, expiresAt } = this._pin;
+    return { pin, role, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Discard the current PIN
+   */
+  cancelPin() {
+    this._pin = null;
+  }
+
+  /**
+   * Exchange a PIN for a device token. The PIN is single use, and
+   * discarded after too many wrong guesses.
+   * @param {string} pin - PIN entered on the device
+   * @param {string} [name] - Device name shown in the device list
+   * @returns {{token: string, device: Object}} The token is only returned here
+   * @throws {Error} If the PIN is wrong or expired
+   */
+  pair(pin, name) {
+    const current = this.getPin() && this._pin;
+    if (!current) {
+      throw new Error("No pairing in progress");
+    }
+
+    const expected = Buffer.from(current.pin);
+    const given = Buffer.from(String(pin));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      current.attempts++;
+      if (current.attempts >= this.config.maxPinAttempts) {
+        this._pin = null;
+        this.emit("pinDiscarded", { reason: "attempts" });
+        throw new Error("Too many wrong PINs, pairing cancelled");
+      }
+      throw new Error("Wrong PIN");
+    }
+
+    this._pin = null;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const device = {
+      id: crypto.randomUUID(),
+      name: String(name || "").trim() || "Unnamed device",
+      role: current.role,
+      pairedAt: new Date().toISOString(),
+      lastSeen: null,
+      tokenHash: hashToken(token),
+    };
+
+    this._devices.set(device.id, device);
+    this._write();
+
+    const { tokenHash, ...paired } = device;
+    console.log(`[Pairing] Paired "${paired.name}" (${paired.role})`);
+    this.emit("paired", paired);
+    return { token, device: paired };
+  }
+
+  /**
+   * Find the device a token belongs to and note that it was seen
+   * @param {string} token - Device token
+   * @returns {Object|null} The device (without token hash)
+   */
+  authenticate(token) {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    for (const device of this._devices.values()) {
+      if (device.tokenHash === tokenHash) {
+        device.lastSeen = new Date().toISOString();
+        const { tokenHash: _, ...authenticated } = device;
+        return authenticated;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget a device; its token stops working immediately
+   * @param {string} id - Device id
+   * @returns {Object} The revoked device
+   * @throws {Error} If no device has that id
+   */
+  revoke(id) {
+    const device = this._devices.get(id);
+    if (!device) {
+      throw new Error(`Unknown device: ${id}`);
+    }
+
+    this._devices.delete(id);
+    this._write();
+
+    const { tokenHash, ...revoked } = device;
+    console.log(`[Pairing] Revoked "${revoked.name}"`);
+    this.emit("revoked", revoked);
+    return revoked;
+  }
+
+  /**
+   * Write all devices, replacing the file atomically
+   * @private
+   */
+  _write() {
+    const tempPath = `${this._filePath}.tmp`;
+    const devices = Array.from(this._devices.values());
+    fs.writeFileSync(tempPath, JSON.stringify(devices, null, 2) + "\n", { mode: 0o600 });
+    fs.renameSync(tempPath, this._filePath);
+  }
+}
+
+module.exports = { PairingManager, ROLES, DEFAULT_PAIRING_CONFIG };
@@ -0,0 +1,286 @@
+/**
+ * Plugin Loader
+ * Discovers plugins in the plugins/ directory and forwards server events to
+ * them. Each plugin gets its own config section (`plugins.<name>` in
+ * config.json), and a plugin that throws is logged and kept away from the
+ * server and the other plugins.
+ *
+ * A plugin is a module (a .js file or a directory with index.js) exporting:
+ *
+ *   module.exports = {
+ *     name: "example", // Defaults to the file or directory name
+ *     defaults: { enabled: true }, // Merged under the config section
+ *     setup({ name, config, on, log, api }) {
+ *       on("stratagemActivated", (stratagem) => log(`${stratagem.name}!`));
+ *       return { configure(config) {}, close() {} }; // Optional
+ *     },
+ *   };
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Events plugins can subscribe to
+ * @readonly
+ */
+const PLUGIN_EVENTS = [
+  "stratagemActivated", // The stratagem entry, with activatedAt and inputTime
+  "hidConnected", // {}
+  "hidDisconnected", // { reason }
+  "keyHeld", // { key, client } for holdKey commands, client being its name
+  "keyReleased", // { key, client } for releaseKey commands
+  "clientConnected", // { name, role, deviceId }
+  "clientDisconnected", // { name, role, deviceId }
+  "forcedRelease", // { reason, keys } from the stuck-key watchdog
+];
+
+/**
+ * Config keys of the plugins section that are not plugin names
+ * @readonly
+ */
+const RESERVED_KEYS = ["directory"];
+
+class PluginManager extends EventEmitter {
+  /**
+   * @param {string} directory - Directory to discover plugins in
+   * @param {Object} [options={}]
+   * @param {Object} [options.config={}] - The `plugins` config section
+   * @param {Object|Function} [options.api={}] - Server functions handed to
+   *   plugins, or a function of the plugin name returning them
+   */
+  constructor(directory, options = {}) {
+    super();
+
+    this._directory = directory;
+    this._config = options.config || {};
+    this._api = options.api || {};
+    this._plugins = new Map(); // Keyed by name
+  }
+
+  /**
+   * Find and require every plugin, then start the enabled ones. A plugin
+   * that fails to load or start is skipped.
+   * @returns {Promise<Object[]>} Plugin summaries
+   */
+  async load() {
+    if (!fs.existsSync(this._directory)) {
+      return [];
+    }
+
+    const entries = fs
+      .readdirSync(this._directory, { withFileTypes: true })
+      .filter((entry) => !entry.name.startsWith(".") && !entry.name.startsWith("_"))
+      .filter((entry) => entry.isDirectory() || entry.name.endsWith(".js"))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const file = path.join(this._directory, entry.name);
+      const plugin = {
+        name: entry.name.replace(/\.js$/, ""),
+        file,
+        module: null,
+        state: "stopped", // stopped, running, disabled or failed
+        error: null,
+        config: null,
+        instance: null,
+        handlers: new Map(),
+      };
+
+      try {
+        plugin.module = require(file);
+        if (!plugin.module || typeof plugin.module.setup !== "function") {
+          throw new Error("Plugin must export a setup() function");
+        }
+        if (plugin.module.name) plugin.name = String(plugin.module.name);
+        if (RESERVED_KEYS.includes(plugin.name) || this._plugins.has(plugin.name)) {
+          throw new Error(`Plugin name is already taken: ${plugin.name}`);
+        }
+      } catch (error) {
+        this._fail(plugin, error, "load");
+        continue;
+      }
+
+      this._plugins.set(plugin.name, plugin);
+      await this._start(plugin);
+    }
+
+    console.log(
+      `[Plugins] Loaded ${this._plugins.size} plugins (${this.list().filter((p) => p.state === "running").length} running)`
+    );
+    return this.list();
+  }
+
+  /**
+   * Summaries of the loaded plugins
+   * @returns {Array<{name: string, state: string, error: (string|null), events: string[]}>}
+   */
+  list() {
+    return Array.from(this._plugins.values()).map((plugin) => ({
+      name: plugin.name,
+      state: plugin.state,
+      error: plugin.error,
+      events: Array.from(plugin.handlers.keys()),
+    }));
+  }
+
+  /**
+   * What a running plugin's setup() returned, for calling its methods
+   * @param {string} name - Plugin name
+   * @returns {Object|null}
+   */
+  get(name) {
+    const plugin = this._plugins.get(name);
+    return plugin && plugin.state === "running" ? plugin.instance || {} : null;
+  }
+
+  /**
+   * Send a server event to every plugin subscribed to it. Handlers run
+   * without being awaited; errors are logged per plugin.
+   * @param {string} event - One of PLUGIN_EVENTS
+   * @param {Object} [payload={}] - Event data
+   */
+  dispatch(event, payload = {}) {
+    for (const plugin of this._plugins.values()) {
+      if (plugin.state !== "running") continue;
+
+      for (const handler of plugin.handlers.get(event) || []) {
+        try {
+          Promise.resolve(handler(payload)).catch((error) => this._report(plugin, error, event));
+        } catch (error) {
+          this._report(plugin, error, event);
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply a changed `plugins` config section: plugins are started, stopped,
+   * handed their new settings or, without configure(), restarted
+   * @param {Object} config - The `plugins` config section
+   * @returns {Promise<void>}
+   */
+  async configure(config) {
+    this._config = config || {};
+
+    for (const plugin of this._plugins.values()) {
+      const next = this._configFor(plugin);
+      if (JSON.stringify(next) === JSON.stringify(plugin.config)) continue;
+
+      const { instance } = plugin;
+      if (plugin.state === "running" && next.enabled !== false && instance &&
+          typeof instance.configure === "function") {
+        plugin.config = next;
+        try {
+          await instance.configure(next);
+        } catch (error) {
+          this._report(plugin, error, "configure");
+        }
+      } else {
+        await this._stop(plugin);
+        await this._start(plugin);
+      }
+    }
+  }
+
+  /**
+   * Stop every plugin
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const plugin of this._plugins.values()) {
+      await this._stop(plugin);
+    }
+  }
+
+  /**
+   * Settings of a plugin: its defaults under its config section
+   * @private
+   */
+  _configFor(plugin) {
+    const section = this._config[plugin.name];
+    return { enabled: true, ...plugin.module.defaults, ...(section && typeof section === "object" ? section : {}) };
+  }
+
+  /**
+   * Run a plugin's setup() with its config
+   * @private
+   */
+  async _start(plugin) {
+    plugin.config = this._configFor(plugin);
+    plugin.error = null;
+    plugin.handlers = new Map();
+
+    if (plugin.config.enabled === false) {
+      plugin.state = "disabled";
+      return;
+    }
+
+    const context = {
+      name: plugin.name,
+      config: plugin.config,
+      api: typeof this._api === "function" ? this._api(plugin.name) : this._api,
+      on: (event, handler) => {
+        if (!PLUGIN_EVENTS.includes(event)) {
+          throw new Error(`Unknown event: ${event} (events: ${PLUGIN_EVENTS.join(", ")})`);
+        }
+        if (!plugin.handlers.has(event)) plugin.handlers.set(event, []);
+        plugin.handlers.get(event).push(handler);
+      },
+      log: (...args) => console.log(`[Plugin ${plugin.name}]`, ...args),
+    };
+
+    try {
+      plugin.instance = (await plugin.module.setup(context)) || null;
+      plugin.state = "running";
+      console.log(`[Plugins] Started ${plugin.name}`);
+    } catch (error) {
+      plugin.handlers = new Map();
+      this._fail(plugin, error, "setup");
+    }
+  }
+
+  /**
+   * Run a plugin's close() and drop its handlers
+   * @private
+   */
+  async _stop(plugin) {
+    if (plugin.state === "running" && plugin.instance && typeof plugin.instance.close === "function") {
+      try {
+        await plugin.instance.close();
+      } catch (error) {
+        this._report(plugin, error, "close");
+      }
+    }
+
+    plugin.handlers = new Map();
+    plugin.instance = null;
+    if (plugin.state !== "failed") plugin.state = "stopped";
+  }
+
+  /**
+   * A plugin could not be loaded or started; it stays off
+   * @private
+   */
+  _fail(plugin, error, stage) {
+    plugin.state = "failed";
+    plugin.error = error.message;
+    console.error(`[Plugins] ${plugin.name} failed in ${stage}: ${error.message}`);
+    this.emit("pluginError", { plugin: plugin.name, stage, error });
+  }
+
+  /**
+   * A running plugin threw; it keeps running
+   * @private
+   */
+  _report(plugin, error, stage) {
+    plugin.error = error && error.message ? error.message : String(error);
+    console.error(`[Plugin ${plugin.name}] Error in ${stage}:`, plugin.error);
+    this.emit("pluginError", { plugin: plugin.name, stage, error });
+  }
+}
+
+module.exports = { PluginManager, PLUGIN_EVENTS };
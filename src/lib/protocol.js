@@ -0,0 +1,97 @@
+/**
+ * WebSocket Protocol
+ * Message envelope, protocol version handshake and request correlation
+ *
+ * Client messages are JSON objects `{ type, id?, ...payload }`. The optional
+ * `id` (string or integer) is echoed in the reply or error for that message.
+ * Clients announce the protocol version they speak with
+ * `{ type: "hello", protocolVersion }` before anything else; other messages
+ * are rejected until they have.
+ *
+ * @version 1.0.0
+ */
+
+const { CommandError, ERROR_CODES } = require("./commands.js");
+
+/**
+ * Current protocol version
+ * @readonly
+ */
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Protocol versions this server can talk to
+ * @readonly
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+/**
+ * Longest accepted request id
+ * @readonly
+ */
+const MAX_ID_LENGTH = 64;
+
+/**
+ * Parse and check the envelope of a client message
+ * @param {Buffer|string} data - Raw message
+ * @returns {{type: string, id: (string|number|undefined), payload: Object}}
+ * @throws {CommandError} INVALID_MESSAGE if the envelope is malformed; the
+ *   error carries `id` when the message had a usable one
+ */
+function parseMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    throw new CommandError("Message is not valid JSON", 400, ERROR_CODES.INVALID_MESSAGE);
+  }
+
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    throw new CommandError("Message must be a JSON object", 400, ERROR_CODES.INVALID_MESSAGE);
+  }
+
+  const { type, id, ...payload } = message;
+
+  if (id !== undefined) {
+    const validId =
+      (typeof id === "string" && id.length > 0 && id.length <= MAX_ID_LENGTH) ||
+      Number.isSafeInteger(id);
+    if (!validId) {
+      throw new CommandError(
+        `id must be a string of at most ${MAX_ID_LENGTH} characters or an integer`,
+        400,
+        ERROR_CODES.INVALID_MESSAGE
+      );
+    }
+  }
+
+  if (typeof type !== "string" || type === "") {
+    const error = new CommandError("Message type is required", 400, ERROR_CODES.INVALID_MESSAGE);
+    error.id = id;
+    throw error;
+  }
+
+  return { type, id, payload };
+}
+
+/**
+ * Check the version a client announced in its hello message
+ * @param {*} protocolVersion - Version sent by the client
+ * @throws {CommandError} UNSUPPORTED_PROTOCOL_VERSION
+ */
+function checkProtocolVersion(protocolVersion) {
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    throw new CommandError(
+      `Unsupported protocol version: ${protocolVersion} (supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")})`,
+      400,
+      ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION
+    );
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  parseMessage,
+  checkProtocolVersion,
+};
@@ -0,0 +1,372 @@
+/**
+ * HID Report Log
+ * Writes every keyboard report sent to the host to a rotating JSONL file,
+ * decoded and attributed to the client that caused it, and replays logged
+ * reports with their original timing to reproduce problems
+ *
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const { setTimeout: wait } = require("timers/promises");
+const { HIDKeyboard } = require("./hid.js");
+
+/**
+ * Default report log settings (`reportLog` section of config.json)
+ * @readonly
+ */
+const DEFAULT_REPORT_LOG_CONFIG = {
+  enabled: true,
+  maxSize: 1048576, // Rotate the file at this size (bytes)
+  maxFiles: 5, // Rotated files to keep (reports.jsonl.1 is the newest)
+};
+
+/**
+ * Default replay settings
+ * @readonly
+ */
+const DEFAULT_REPLAY_OPTIONS = {
+  speed: 1, // 2 plays twice as fast
+  maxGap: 5000, // Idle gaps longer than this are shortened (ms)
+};
+
+/**
+ * First name of each value in a name -> value table
+ * @private
+ */
+function reverseTable(table) {
+  const names = new Map();
+  for (const [name, value] of Object.entries(table)) {
+    if (!names.has(value)) names.set(value, name);
+  }
+  return names;
+}
+
+const MODIFIER_NAMES = reverseTable(HIDKeyboard.MODIFIERS);
+const KEY_NAMES = reverseTable(HIDKeyboard.KEY_CODES);
+
+/**
+ * Hex byte for codes without a name
+ * @private
+ */
+function hexByte(value) {
+  return `0x${value.toString(16).padStart(2, "0")}`;
+}
+
+/**
+ * Modifier names in a modifier bitmask
+ * @param {number} modifiers - Modifier bitmask
+ * @returns {string[]}
+ */
+function decodeModifiers(modifiers) {
+  const names = [];
+  for (let bit = 0x01; bit <= 0x80; bit <<= 1) {
+    if (modifiers & bit) names.push(MODIFIER_NAMES.get(bit) || hexByte(bit));
+  }
+  return names;
+}
+
+/**
+ * Key names of HID key codes
+ * @param {number[]} keys - Key codes
+ * @returns {string[]}
+ */
+function decodeKeys(keys) {
+  return keys.filter((code) => code).map((code) => KEY_NAMES.get(code) || hexByte(code));
+}
+
+/**
+ * Who a report came from, as stored in the log
+ * @private
+ */
+function describeOrigin(origin) {
+  if (!origin) return null;
+  if (typeof origin === "string") return { name: origin, deviceId: null };
+  return { name: origin.name || null, deviceId: origin.deviceId || null };
+}
+
+/**
+ * Parse JSONL log text; lines that are not JSON (a torn last write) are skipped
+ * @param {string} text - Log file contents
+ * @returns {Object[]} Log entries
+ */
+function parseLog(text) {
+  const entries = [];
+  for (const line of String(text).split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Skip partial lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Raw report fields and times of log entries
+ * @param {Object[]} entries - Log entries
+ * @returns {Array<{time: number, modifiers: number, keys: number[]}>}
+ * @throws {Error} If an entry has no usable report or time
+ */
+function toReports(entries) {
+  return entries.map((entry, index) => {
+    const report = Buffer.from(String((entry && entry.report) || ""), "hex");
+    const time = Date.parse(entry && entry.time);
+    if (report.length !== 8 || Number.isNaN(time)) {
+      throw new Error(`Log entry ${index} needs an 8-byte hex report and a time`);
+    }
+    return {
+      time,
+      modifiers: report[0],
+      keys: Array.from(report.subarray(2)).filter((code) => code),
+    };
+  });
+}
+
+/**
+ * Feed logged reports back through sendReport with their original spacing.
+ * Runs as one exclusive keyboard operation and releases everything at the
+ * end; an emergency release (or the signal) stops it.
+ * @param {HIDKeyboard} keyboard - Keyboard to replay on
+ * @param {Object[]} reports - Reports from toReports(), oldest first
+ * @param {Object} [options={}] - See DEFAULT_REPLAY_OPTIONS
+ * @param {AbortSignal} [options.signal] - Stops the replay
+ * @param {*} [options.origin] - Who asked for the replay
+ * @returns {Promise<{count: number, duration: number}>} Reports sent and time taken (ms)
+ * @throws {Error} AbortError if stopped
+ */
+async function replayReports(keyboard, reports, options = {}) {
+  const { speed, maxGap, signal, origin } = { ...DEFAULT_REPLAY_OPTIONS, ...options };
+
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  if (signal) signal.addEventListener("abort", stop, { once: true });
+  keyboard.once("emergencyRelease", stop);
+
+  const started = Date.now();
+  try {
+    await keyboard.runExclusive(async () => {
+      try {
+        for (let i = 0; i < reports.length; i++) {
+          if (i > 0) {
+            const gap = Math.max(0, reports[i].time - reports[i - 1].time);
+            await wait(Math.min(gap, maxGap) / speed, undefined, { signal: controller.signal });
+          }
+          await keyboard.sendReport(reports[i].modifiers, reports[i].keys);
+        }
+      } finally {
+        if (!controller.signal.aborted) await keyboard.releaseAll();
+      }
+    }, { signal: controller.signal, origin });
+  } finally {
+    if (signal) signal.removeEventListener("abort", stop);
+    keyboard.removeListener("emergencyRelease", stop);
+  }
+
+  return { count: reports.length, duration: Date.now() - started };
+}
+
+/**
+ * Rename a file that may not exist
+ * @private
+ */
+async function renameIfExists(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+class ReportLog {
+  /**
+   * @param {string} filePath - Path to the current log file
+   * @param {Object} [options={}] - Settings (see DEFAULT_REPORT_LOG_CONFIG)
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this.config = { ...DEFAULT_REPORT_LOG_CONFIG, ...options };
+    this._size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    this._failed = false;
+    this._stream = null; // Opened on the first report
+    this._rotating = null; // Promise while files are being shifted
+    this._backlog = []; // Lines recorded during a rotation
+  }
+
+  /**
+   * Subscribe to a keyboard's reportSent events
+   * @param {HIDKeyboard} keyboard - Keyboard to log
+   */
+  attach(keyboard) {
+    keyboard.on("reportSent", (event) => {
+      if (this.config.enabled) this.record(event);
+    });
+  }
+
+  /**
+   * Append one report. The line is buffered and written in the background,
+   * so logging adds no file I/O to the time a report takes.
+   * @param {Object} event - reportSent event of HIDKeyboard
+   */
+  record({ modifiers, keys, report, latency, operation, origin }) {
+    const entry = {
+      time: new Date().toISOString(),
+      modifiers: decodeModifiers(modifiers),
+      keys: decodeKeys(keys),
+      report: Buffer.from(report).toString("hex"),
+      operation: operation || null,
+      client: describeOrigin(origin),
+      latency: typeof latency === "number" ? Math.round(latency * 1000) / 1000 : null,
+    };
+    const line = JSON.stringify(entry) + "\n";
+    const bytes = Buffer.byteLength(line);
+
+    if (this._size > 0 && this._size + bytes > this.config.maxSize) {
+      this.rotate();
+    }
+    this._size += bytes;
+    this._write(line);
+  }
+
+  /**
+   * Start a new file, shifting older ones up (reports.jsonl -> .1 -> .2 ...)
+   * once everything written so far has reached the current file
+   * @returns {Promise<void>}
+   */
+  rotate() {
+    if (this._rotating) return this._rotating;
+
+    const stream = this._stream;
+    this._stream = null;
+    this._size = 0;
+
+    this._rotating = this._finish(stream)
+      .then(() => this._shiftFiles())
+      .catch((error) => this._report(error))
+      .finally(() => {
+        this._rotating = null;
+        const backlog = this._backlog;
+        this._backlog = [];
+        for (const line of backlog) this._write(line);
+      });
+    return this._rotating;
+  }
+
+  /**
+   * Write out buffered lines and close the file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    while (this._rotating) await this._rotating;
+
+    const stream = this._stream;
+    this._stream = null;
+    await this._finish(stream);
+  }
+
+  /**
+   * Queue a line on the open file, opening it if needed
+   * @private
+   */
+  _write(line) {
+    if (this._rotating) {
+      this._backlog.push(line);
+      return;
+    }
+
+    if (!this._stream) {
+      const stream = fs.createWriteStream(this._filePath, { flags: "a" });
+      stream.on("error", (error) => {
+        if (this._stream === stream) this._stream = null;
+        this._report(error);
+      });
+      this._stream = stream;
+    }
+
+    this._stream.write(line, (error) => {
+      if (!error) this._failed = false;
+    });
+  }
+
+  /**
+   * End a write stream and wait until its buffered lines are in the file
+   * @private
+   */
+  _finish(stream) {
+    if (!stream || stream.destroyed) return Promise.resolve();
+    return new Promise((resolve) => {
+      stream.once("finish", resolve);
+      stream.once("error", resolve);
+      stream.end();
+    });
+  }
+
+  /**
+   * Rename the log files one number up, dropping the oldest
+   * @private
+   */
+  async _shiftFiles() {
+    const { maxFiles } = this.config;
+    await fs.promises.rm(`${this._filePath}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      await renameIfExists(`${this._filePath}.${index}`, `${this._filePath}.${index + 1}`);
+    }
+
+    if (maxFiles > 0) {
+      await renameIfExists(this._filePath, `${this._filePath}.1`);
+    } else {
+      await fs.promises.rm(this._filePath, { force: true });
+    }
+  }
+
+  /**
+   * Logging must never break typing; complain once per failure streak
+   * @private
+   */
+  _report(error) {
+    if (!this._failed) console.error("[ReportLog] Failed to write report log:", error.message);
+    this._failed = true;
+  }
+
+  /**
+   * Existing log files, oldest first
+   * @returns {string[]}
+   */
+  files() {
+    const rotated = [];
+    for (let index = this.config.maxFiles; index >= 1; index--) {
+      rotated.push(`${this._filePath}.${index}`);
+    }
+    return [...rotated, this._filePath].filter((file) => fs.existsSync(file));
+  }
+
+  /**
+   * Whole log (rotated files included) as JSONL text, oldest first
+   * @returns {string}
+   */
+  read() {
+    return this.files()
+      .map((file) => fs.readFileSync(file, "utf8"))
+      .join("");
+  }
+
+  /**
+   * Whole log as entries, oldest first
+   * @returns {Object[]}
+   */
+  entries() {
+    return parseLog(this.read());
+  }
+}
+
+module.exports = {
+  ReportLog,
+  DEFAULT_REPORT_LOG_CONFIG,
+  DEFAULT_REPLAY_OPTIONS,
+  decodeModifiers,
+  decodeKeys,
+  parseLog,
+  toReports,
+  replayReports,
+};
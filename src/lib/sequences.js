@@ -0,0 +1,274 @@
+/**
+ * Keyboard Sequence Language
+ * Validates executeSequence action lists and parses the compact text form
+ * used for hand-written macros, e.g. "ctrl down; w; s; d; wait 80; ctrl up"
+ *
+ * Text statements are separated by ";" or new lines:
+ *   <key> down / hold <key>       hold a key or modifier
+ *   <key> up / release <key>      release a held key or modifier
+ *   <key> [ms]                    tap a key, keeping held keys down
+ *   <mod>+<key> [ms]              tap a key combination
+ *   wait <ms>                     pause
+ *   type "text"                   type text
+ *   release                       release everything
+ *   waitForRelease [key] [ms]     wait until a client releases the key
+ *   repeat <n> { ... }            repeat the nested statements
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Action types understood by HIDKeyboard.executeSequence, with the fields
+ * each one requires
+ * @readonly
+ */
+const ACTION_TYPES = {
+  key: ["key"],
+  text: ["text"],
+  delay: [],
+  release: [],
+  hold: ["key"],
+  releaseKey: ["key"],
+  pressWithHeld: ["key"],
+  repeat: ["count", "actions"],
+  waitForRelease: [],
+};
+
+/**
+ * Check an action list before anything is sent, so a typo late in a
+ * sequence cannot leave it half-executed
+ * @param {Object[]} actions - Sequence actions
+ * @param {string} [path="actions"] - Location used in error messages
+ * @throws {Error} If an action is malformed
+ */
+function validateActions(actions, path = "actions") {
+  if (!Array.isArray(actions)) {
+    throw new Error(`${path} must be an array`);
+  }
+
+  actions.forEach((action, index) => {
+    const location = `${path}[${index}]`;
+    if (!action || !(action.type in ACTION_TYPES)) {
+      throw new Error(`Unknown action type at ${location}: ${action && action.type}`);
+    }
+
+    for (const field of ACTION_TYPES[action.type]) {
+      if (action[field] === undefined || action[field] === "") {
+        throw new Error(`${action.type} action at ${location} requires "${field}"`);
+      }
+    }
+
+    if (action.type === "delay" && action.duration !== undefined && !(action.duration >= 0)) {
+      throw new Error(`delay action at ${location} has invalid duration: ${action.duration}`);
+    }
+
+    if (action.type === "waitForRelease" && action.timeout !== undefined && !(action.timeout > 0)) {
+      throw new Error(`waitForRelease action at ${location} has invalid timeout: ${action.timeout}`);
+    }
+
+    if (action.type === "repeat") {
+      if (!Number.isInteger(action.count) || action.count < 1) {
+        throw new Error(`repeat action at ${location} has invalid count: ${action.count}`);
+      }
+      validateActions(action.actions, `${location}.actions`);
+    }
+  });
+}
+
+/**
+ * Split statement text into words, keeping quoted strings together
+ * @private
+ * @param {string} statement - Single statement
+ * @returns {Array<{value: string, quoted: boolean}>}
+ */
+function tokenize(statement) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(statement)) !== null) {
+    tokens.push(
+      match[1] !== undefined
+        ? { value: match[1].replace(/\\(.)/g, "$1"), quoted: true }
+        : { value: match[2], quoted: false }
+    );
+  }
+  return tokens;
+}
+
+/**
+ * Parse a duration word
+ * @private
+ */
+function parseDuration(word, statement) {
+  const value = Number(String(word).replace(/ms$/i, ""));
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid duration "${word}" in: ${statement}`);
+  }
+  return value;
+}
+
+/**
+ * Check whether a word is a duration (e.g. "80" or "80ms")
+ * @private
+ */
+function isDuration(word) {
+  return /^\d+(ms)?$/i.test(word);
+}
+
+/**
+ * Turn one statement into an action
+ * @private
+ * @param {string} statement - Statement text
+ * @returns {Object} Sequence action
+ */
+function parseStatement(statement) {
+  const tokens = tokenize(statement);
+  const words = tokens.map((token) => token.value);
+  const keyword = words[0].toLowerCase();
+
+  if ((keyword === "wait" || keyword === "delay") && words.length === 2) {
+    return { type: "delay", duration: parseDuration(words[1], statement) };
+  }
+
+  if (keyword === "type" || keyword === "text") {
+    if (tokens.length !== 2 || !tokens[1].quoted) {
+      throw new Error(`Expected quoted text in: ${statement}`);
+    }
+    return { type: "text", text: words[1] };
+  }
+
+  if (keyword === "waitforrelease") {
+    const action = { type: "waitForRelease" };
+    for (const word of words.slice(1)) {
+      if (isDuration(word)) {
+        action.timeout = parseDuration(word, statement);
+      } else if (action.key === undefined) {
+        action.key = word.toLowerCase();
+      } else {
+        throw new Error(`Unexpected "${word}" in: ${statement}`);
+      }
+    }
+    return action;
+  }
+
+  if ((keyword === "release" || keyword === "releaseall") && words.length === 1) {
+    return { type: "release" };
+  }
+
+  if (words.length === 2 && (keyword === "hold" || keyword === "release")) {
+    return { type: keyword === "hold" ? "hold" : "releaseKey", key: words[1].toLowerCase() };
+  }
+
+  if (words.length === 2 && /^(down|up)$/i.test(words[1])) {
+    return {
+      type: words[1].toLowerCase() === "down" ? "hold" : "releaseKey",
+      key: keyword,
+    };
+  }
+
+  if (words.length <= 2) {
+    // Combinations set their own modifiers; plain keys keep held ones down
+    const action = keyword.length > 1 && keyword.includes("+")
+      ? { type: "key", key: keyword }
+      : { type: "pressWithHeld", key: keyword };
+    if (words.length === 2) {
+      action.options = { holdTime: parseDuration(words[1], statement) };
+    }
+    return action;
+  }
+
+  throw new Error(`Cannot parse statement: ${statement}`);
+}
+
+/**
+ * Parse the text sequence syntax into executeSequence actions
+ * @param {string} text - Sequence text
+ * @returns {Object[]} Validated actions
+ * @throws {Error} On syntax errors
+ *
+ * @example
+ * parseSequence('ctrl down; repeat 2 { w; s }; wait 80; ctrl up');
+ */
+function parseSequence(text) {
+  const source = String(text);
+  let position = 0;
+
+  const parseBlock = (closing) => {
+    const actions = [];
+    let statement = "";
+    let inQuotes = false;
+
+    const flush = () => {
+      const trimmed = statement.trim();
+      if (trimmed) actions.push(parseStatement(trimmed));
+      statement = "";
+    };
+
+    while (position < source.length) {
+      const char = source[position++];
+
+      if (inQuotes) {
+        statement += char;
+        if (char === "\\" && position < source.length) {
+          statement += source[position++];
+        } else if (char === '"') {
+          inQuotes = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+        statement += char;
+      } else if (char === ";" || char === "\n") {
+        flush();
+      } else if (char === "{") {
+        const match = statement.trim().match(/^repeat\s+(\S+)$/i);
+        if (!match || !/^\d+$/.test(match[1])) {
+          throw new Error(`Expected "repeat <count>" before "{": ${statement.trim()}`);
+        }
+        actions.push({ type: "repeat", count: Number(match[1]), actions: parseBlock(true) });
+        statement = "";
+      } else if (char === "}") {
+        if (!closing) {
+          throw new Error('Unexpected "}" in sequence');
+        }
+        flush();
+        return actions;
+      } else {
+        statement += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error("Unterminated quoted text in sequence");
+    }
+    if (closing) {
+      throw new Error('Missing "}" in sequence');
+    }
+
+    flush();
+    return actions;
+  };
+
+  const actions = parseBlock(false);
+  validateActions(actions);
+  return actions;
+}
+
+/**
+ * Accept either an action list or sequence text
+ * @param {Object[]|string} sequence - Actions or text syntax
+ * @returns {Object[]} Validated actions
+ * @throws {Error} If the sequence is malformed
+ */
+function toActions(sequence) {
+  if (typeof sequence === "string") {
+    return parseSequence(sequence);
+  }
+
+  validateActions(sequence);
+  return sequence;
+}
+
+module.exports = { ACTION_TYPES, validateActions, parseSequence, toActions };
@@ -0,0 +1,263 @@
+/**
+ * Usage Statistics
+ * Counts stratagem activations and keeps latency histograms (input time
+ * from the first arrow to completion, HID report write latency), persisted
+ * to disk and exported as JSON or Prometheus text
+ *
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+
+/**
+ * Histogram bucket upper bounds (ms)
+ * @readonly
+ */
+const BUCKETS = {
+  inputTime: [250, 500, 750, 1000, 1500, 2000, 3000, 5000],
+  hidWriteLatency: [0.1, 0.25, 0.5, 1, 2, 5, 10, 25, 50],
+};
+
+/**
+ * Default statistics settings (`stats` section of config.json)
+ * @readonly
+ */
+const DEFAULT_STATS_CONFIG = {
+  saveInterval: 10000, // Write changes to disk at most this often (ms)
+};
+
+/**
+ * Prometheus metric name prefix
+ * @readonly
+ */
+const METRIC_PREFIX = "stratagem_pad";
+
+/**
+ * Empty histogram with the given bucket bounds
+ * @private
+ */
+function createHistogram(bounds) {
+  return { bounds, counts: bounds.map(() => 0), count: 0, sum: 0, min: null, max: null };
+}
+
+/**
+ * Add an observation to a histogram
+ * @private
+ */
+function observe(histogram, value) {
+  const index = histogram.bounds.findIndex((bound) => value <= bound);
+  if (index !== -1) histogram.counts[index]++;
+  histogram.count++;
+  histogram.sum += value;
+  histogram.min = histogram.min === null ? value : Math.min(histogram.min, value);
+  histogram.max = histogram.max === null ? value : Math.max(histogram.max, value);
+}
+
+/**
+ * Histogram summary with cumulative buckets (ms)
+ * @private
+ */
+function summarize(histogram) {
+  let cumulative = 0;
+  return {
+    count: histogram.count,
+    sum: round(histogram.sum),
+    min: histogram.min === null ? null : round(histogram.min),
+    max: histogram.max === null ? null : round(histogram.max),
+    mean: histogram.count > 0 ? round(histogram.sum / histogram.count) : null,
+    buckets: histogram.bounds.map((le, index) => ({ le, count: (cumulative += histogram.counts[index]) })),
+  };
+}
+
+/**
+ * Round to microseconds for output
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Escape a Prometheus label value
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+class StatsCollector {
+  /**
+   * @param {string} filePath - Path to the statistics JSON file
+   * @param {Object} [options={}] - Settings (see DEFAULT_STATS_CONFIG)
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this.config = { ...DEFAULT_STATS_CONFIG, ...options };
+    this._saveTimer = null;
+    this._data = this._empty();
+  }
+
+  /**
+   * Read statistics from disk; a missing file means none yet
+   */
+  load() {
+    if (!fs.existsSync(this._filePath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this._filePath));
+    const empty = this._empty();
+    this._data = {
+      ...empty,
+      ...data,
+      // Keep stored counts only if the bucket layout still matches
+      histograms: Object.fromEntries(
+        Object.entries(empty.histograms).map(([name, histogram]) => {
+          const stored = data.histograms && data.histograms[name];
+          const matches = stored && JSON.stringify(stored.bounds) === JSON.stringify(histogram.bounds);
+          return [name, matches ? stored : histogram];
+        })
+      ),
+    };
+    console.log(`[Stats] Loaded statistics since ${this._data.since}`);
+  }
+
+  /**
+   * Count a stratagem activation
+   * @param {Object} activation - `{ name, category, inputTime }` (inputTime in ms, if typed)
+   */
+  recordActivation({ name, category, inputTime }) {
+    const key = name || "(unnamed)";
+    const entry = this._data.stratagems[key] || { count: 0, category: category || null };
+    entry.count++;
+    entry.lastActivatedAt = new Date().toISOString();
+    this._data.stratagems[key] = entry;
+
+    if (typeof inputTime === "number" && inputTime >= 0) {
+      observe(this._data.histograms.inputTime, inputTime);
+    }
+    this._changed();
+  }
+
+  /**
+   * Record how long writing one HID report took
+   * @param {number} latency - Milliseconds
+   */
+  recordWriteLatency(latency) {
+    observe(this._data.histograms.hidWriteLatency, latency);
+    this._changed();
+  }
+
+  /**
+   * Statistics as JSON
+   * @returns {Object}
+   */
+  getStats() {
+    const stratagems = Object.entries(this._data.stratagems)
+      .map(([name, entry]) => ({ name, ...entry }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      since: this._data.since,
+      totalActivations: stratagems.reduce((total, entry) => total + entry.count, 0),
+      stratagems,
+      inputTime: summarize(this._data.histograms.inputTime),
+      hidWriteLatency: summarize(this._data.histograms.hidWriteLatency),
+    };
+  }
+
+  /**
+   * Statistics in the Prometheus text exposition format (times in seconds)
+   * @returns {string}
+   */
+  toPrometheus() {
+    const lines = [
+      `# HELP ${METRIC_PREFIX}_stratagem_activations_total Stratagems activated, by name`,
+      `# TYPE ${METRIC_PREFIX}_stratagem_activations_total counter`,
+    ];
+    for (const [name, entry] of Object.entries(this._data.stratagems)) {
+      lines.push(
+        `${METRIC_PREFIX}_stratagem_activations_total{name="${escapeLabel(name)}",category="${escapeLabel(entry.category || "")}"} ${entry.count}`
+      );
+    }
+
+    const histograms = {
+      input_duration_seconds: ["inputTime", "Time from the first arrow to a completed stratagem"],
+      hid_write_latency_seconds: ["hidWriteLatency", "Time to write one HID report"],
+    };
+    for (const [metric, [name, help]] of Object.entries(histograms)) {
+      const histogram = this._data.histograms[name];
+      const fullName = `${METRIC_PREFIX}_${metric}`;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} histogram`);
+
+      let cumulative = 0;
+      histogram.bounds.forEach((bound, index) => {
+        cumulative += histogram.counts[index];
+        lines.push(`${fullName}_bucket{le="${bound / 1000}"} ${cumulative}`);
+      });
+      lines.push(
+        `${fullName}_bucket{le="+Inf"} ${histogram.count}`,
+        `${fullName}_sum ${round(histogram.sum) / 1000}`,
+        `${fullName}_count ${histogram.count}`
+      );
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Clear all statistics and write the empty file
+   */
+  reset() {
+    this._data = this._empty();
+    this.flush();
+    console.log("[Stats] Statistics reset");
+  }
+
+  /**
+   * Write pending changes now
+   */
+  flush() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+
+    const tempPath = `${this._filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this._data, null, 2) + "\n");
+    fs.renameSync(tempPath, this._filePath);
+  }
+
+  /**
+   * Fresh statistics
+   * @private
+   */
+  _empty() {
+    return {
+      since: new Date().toISOString(),
+      stratagems: {},
+      histograms: {
+        inputTime: createHistogram(BUCKETS.inputTime),
+        hidWriteLatency: createHistogram(BUCKETS.hidWriteLatency),
+      },
+    };
+  }
+
+  /**
+   * Schedule a write; changes are batched over saveInterval
+   * @private
+   */
+  _changed() {
+    if (this._saveTimer) return;
+
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      try {
+        this.flush();
+      } catch (error) {
+        console.error("[Stats] Failed to save statistics:", error.message);
+      }
+    }, this.config.saveInterval);
+    this._saveTimer.unref();
+  }
+}
+
+module.exports = { StatsCollector, BUCKETS, DEFAULT_STATS_CONFIG };
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Stratagem Database Validator
+ * Checks the hand-edited stratagems.json for mistakes that otherwise fail
+ * silently: duplicate or shadowed input codes, colors the lights cannot
+ * parse and icons with no SVG. Run at server startup and from the command
+ * line:
+ *
+ *   node src/lib/stratagemValidator.js [stratagems.json] [--overrides <file>] [--icons <dir>] [--json]
+ *
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { DIRECTIONS, applyOverrides } = require("./stratagems.js");
+
+/**
+ * Default database and icon locations
+ * @readonly
+ */
+const DEFAULT_PATHS = {
+  filePath: path.join(__dirname, "../../public/stratagems.json"),
+  iconDir: path.join(__dirname, "../../public/img/Helldivers-2-Stratagems-icons-svg"),
+};
+
+/**
+ * How bad each kind of problem is. Errors break matching; warnings only
+ * affect how a stratagem looks.
+ * @readonly
+ */
+const SEVERITIES = {
+  invalidEntry: "error", // Missing name or malformed input code
+  duplicateName: "error", // Only the first can be found by name
+  duplicateCode: "error", // Only the first can ever be typed
+  prefixConflict: "error", // The shorter code matches before the longer is finished
+  invalidColor: "warning", // The lights turn white
+  missingIcon: "warning", // Broken image on the pad
+  unknownOverride: "warning", // Patched or hidden name not in the database
+};
+
+/**
+ * Colors in the exact form the light manager parses
+ * @readonly
+ */
+const RGB_PATTERN = /^rgb\((\d{1,3}),\s*(\d{1,3}),\s*(\d{1,3})\)$/;
+
+/**
+ * Label of a stratagem for messages
+ * @private
+ */
+function label(stratagem, index) {
+  return stratagem && typeof stratagem.name === "string" && stratagem.name.trim()
+    ? `"${stratagem.name}"`
+    : `entry ${index}`;
+}
+
+/**
+ * Problems with the fields of one entry
+ * @private
+ */
+function checkEntry(stratagem, index) {
+  if (!stratagem || typeof stratagem !== "object" || Array.isArray(stratagem)) {
+    return [`entry ${index} is not an object`];
+  }
+
+  const problems = [];
+  if (typeof stratagem.name !== "string" || stratagem.name.trim() === "") {
+    problems.push(`entry ${index} has no name`);
+  }
+
+  const { inputCode } = stratagem;
+  if (!Array.isArray(inputCode) || inputCode.length === 0) {
+    problems.push(`${label(stratagem, index)} has no inputCode array`);
+  } else {
+    const invalid = inputCode.filter((letter) => !DIRECTIONS.includes(letter));
+    if (invalid.length > 0) {
+      problems.push(
+        `${label(stratagem, index)} has invalid directions ${invalid.map((d) => JSON.stringify(d)).join(", ")} (use ${DIRECTIONS.join("/")})`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Whether a color is an rgb() value the lights can use
+ * @param {string} color - CSS color
+ * @returns {boolean}
+ */
+function isValidColor(color) {
+  const match = RGB_PATTERN.exec(String(color));
+  return Boolean(match) && match.slice(1).every((channel) => Number(channel) <= 255);
+}
+
+/**
+ * Check a list of stratagems
+ * @param {Object[]} stratagems - Parsed stratagems.json
+ * @param {Object} [options={}]
+ * @param {string} [options.iconDir] - Directory icon paths are relative to;
+ *   icons are not checked without it
+ * @returns {{errors: Object[], warnings: Object[]}} Issues as `{ type, message }`
+ */
+function validateStratagems(stratagems, options = {}) {
+  const issues = [];
+  const report = (type, message) => issues.push({ type, severity: SEVERITIES[type], message });
+
+  if (!Array.isArray(stratagems)) {
+    report("invalidEntry", "Stratagem database must be an array");
+    return splitIssues(issues);
+  }
+
+  // Entries whose code can be compared with the others
+  const coded = [];
+  const names = new Map();
+
+  stratagems.forEach((stratagem, index) => {
+    const problems = checkEntry(stratagem, index);
+    problems.forEach((message) => report("invalidEntry", message));
+    if (!stratagem || typeof stratagem !== "object") return;
+
+    const name = label(stratagem, index);
+
+    if (typeof stratagem.name === "string" && stratagem.name.trim()) {
+      const key = stratagem.name.trim().toLowerCase();
+      if (names.has(key)) {
+        report("duplicateName", `${name} is listed twice (entries ${names.get(key)} and ${index})`);
+      } else {
+        names.set(key, index);
+      }
+    }
+
+    if (problems.length === 0) {
+      coded.push({ name, code: stratagem.inputCode.join("") });
+    }
+
+    if (!isValidColor(stratagem.color)) {
+      report(
+        "invalidColor",
+        `${name} has color ${JSON.stringify(stratagem.color)}; expected rgb(r, g, b) with values 0-255`
+      );
+    }
+
+    if (options.iconDir) {
+      const iconPath = path.resolve(options.iconDir, String(stratagem.icon || ""));
+      const inside = iconPath.startsWith(path.resolve(options.iconDir) + path.sep);
+      if (!stratagem.icon || !inside || !iconPath.endsWith(".svg") || !fs.existsSync(iconPath)) {
+        report("missingIcon", `${name} has no icon SVG at ${JSON.stringify(stratagem.icon || null)}`);
+      }
+    }
+  });
+
+  // Compare every pair of codes: equal codes, and codes starting with another
+  for (let i = 0; i < coded.length; i++) {
+    for (let j = i + 1; j < coded.length; j++) {
+      const [a, b] = [coded[i], coded[j]];
+      if (a.code === b.code) {
+        report("duplicateCode", `${a.name} and ${b.name} share the input code ${a.code}`);
+      } else if (b.code.startsWith(a.code) || a.code.startsWith(b.code)) {
+        const [shorter, longer] = a.code.length < b.code.length ? [a, b] : [b, a];
+        report(
+          "prefixConflict",
+          `${shorter.name} (${shorter.code}) is a prefix of ${longer.name} (${longer.code}), which can never be typed`
+        );
+      }
+    }
+  }
+
+  return splitIssues(issues);
+}
+
+/**
+ * Group issues by severity
+ * @private
+ */
+function splitIssues(issues) {
+  return {
+    errors: issues.filter((issue) => issue.severity === "error"),
+    warnings: issues.filter((issue) => issue.severity === "warning"),
+  };
+}
+
+/**
+ * Read and check a stratagems.json file, with a user overrides file
+ * applied; files that do not parse are reported as errors
+ * @param {string} filePath - Path to stratagems.json
+ * @param {Object} [options={}] - See validateStratagems
+ * @param {string} [options.overridesPath] - User overrides file
+ * @returns {{errors: Object[], warnings: Object[]}}
+ */
+function validateStratagemFile(filePath, options = {}) {
+  const unreadable = (file, error) => ({
+    errors: [{ type: "invalidEntry", severity: "error", message: `Cannot read ${file}: ${error.message}` }],
+    warnings: [],
+  });
+
+  let stratagems;
+  try {
+    stratagems = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    return unreadable(filePath, error);
+  }
+
+  if (!options.overridesPath) {
+    return validateStratagems(stratagems, options);
+  }
+
+  let merged;
+  try {
+    merged = applyOverrides(stratagems, JSON.parse(fs.readFileSync(options.overridesPath, "utf8")));
+  } catch (error) {
+    return unreadable(options.overridesPath, error);
+  }
+
+  const result = validateStratagems(merged.stratagems, options);
+  for (const name of merged.unmatched) {
+    result.warnings.push({
+      type: "unknownOverride",
+      severity: SEVERITIES.unknownOverride,
+      message: `Override for "${name}" matches no stratagem`,
+    });
+  }
+  return result;
+}
+
+/**
+ * Command line entry point
+ * @private
+ * @param {string[]} args - Arguments after the script name
+ * @returns {number} Exit code: 1 if there are errors
+ */
+function main(args) {
+  let filePath = DEFAULT_PATHS.filePath;
+  let overridesPath = null;
+  let iconDir = null;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--icons") {
+      iconDir = args[++i];
+    } else if (args[i] === "--overrides") {
+      overridesPath = args[++i];
+    } else if (args[i] === "--json") {
+      json = true;
+    } else if (args[i] === "--help" || args[i] === "-h") {
+      console.log(
+        "Usage: node src/lib/stratagemValidator.js [stratagems.json] [--overrides <file>] [--icons <dir>] [--json]"
+      );
+      return 0;
+    } else {
+      filePath = args[i];
+    }
+  }
+
+  // Icons live next to the default database unless given
+  if (!iconDir) {
+    iconDir = path.join(path.dirname(filePath), "img/Helldivers-2-Stratagems-icons-svg");
+  }
+
+  const { errors, warnings } = validateStratagemFile(filePath, { iconDir, overridesPath });
+
+  if (json) {
+    console.log(JSON.stringify({ filePath, overridesPath, errors, warnings }, null, 2));
+  } else {
+    for (const issue of errors) console.log(`error   ${issue.type}: ${issue.message}`);
+    for (const issue of warnings) console.log(`warning ${issue.type}: ${issue.message}`);
+    console.log(`${filePath}: ${errors.length} errors, ${warnings.length} warnings`);
+  }
+  return errors.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  validateStratagems,
+  validateStratagemFile,
+  isValidColor,
+  SEVERITIES,
+  DEFAULT_PATHS,
+};
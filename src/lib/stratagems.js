@@ -0,0 +1,234 @@
+/**
+ * Stratagem Database
+ * Loads stratagem definitions, merges the user's overrides into them and
+ * resolves them by name or input code
+ *
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+
+/**
+ * Direction letters used by stratagem input codes (WASD notation)
+ * @readonly
+ */
+const DIRECTIONS = ["W", "A", "S", "D"];
+
+/**
+ * Normalize an input code given as an array or a string ("DDW", "D D W")
+ * @param {string|string[]} inputCode - Input code to normalize
+ * @returns {string[]} Upper-case direction letters
+ * @throws {Error} If the code contains anything but W/A/S/D
+ */
+function normalizeInputCode(inputCode) {
+  const letters = Array.isArray(inputCode)
+    ? inputCode.map((step) => String(step).trim().toUpperCase())
+    : String(inputCode).toUpperCase().replace(/[\s,]/g, "").split("");
+
+  if (letters.length === 0) {
+    throw new Error("Input code must not be empty");
+  }
+
+  for (const letter of letters) {
+    if (!DIRECTIONS.includes(letter)) {
+      throw new Error(`Invalid input code direction: ${letter}`);
+    }
+  }
+
+  return letters;
+}
+
+/**
+ * Copy of an override entry with its input code normalized, if it has one
+ * @private
+ * @throws {Error} Naming the entry if the code is not valid
+ */
+function withInputCode(fields, name) {
+  if (fields.inputCode === undefined) return fields;
+  try {
+    return { ...fields, inputCode: normalizeInputCode(fields.inputCode) };
+  } catch (error) {
+    throw new Error(`Override for ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Apply user overrides to the bundled stratagems: patch fields of entries
+ * by name, hide entries, and append custom ones
+ * @param {Object[]} stratagems - Bundled stratagems
+ * @param {Object} [overrides={}]
+ * @param {Object} [overrides.patch] - Fields to change, keyed by stratagem name
+ * @param {string[]} [overrides.hide] - Names of stratagems to leave out
+ * @param {Object[]} [overrides.add] - Custom stratagems (same fields as
+ *   stratagems.json, plus an optional `macro` to play instead of typing the code)
+ * @returns {{stratagems: Object[], unmatched: string[]}} Merged list, and
+ *   patched or hidden names that matched no stratagem
+ * @throws {Error} If the overrides are not shaped as above
+ */
+function applyOverrides(stratagems, overrides = {}) {
+  const { patch = {}, hide = [], add = [], ...unknown } = overrides;
+  if (Object.keys(unknown).length > 0) {
+    throw new Error(`Unknown override sections: ${Object.keys(unknown).join(", ")} (use patch, hide, add)`);
+  }
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    throw new Error("Overrides patch must be an object keyed by stratagem name");
+  }
+  if (!Array.isArray(hide) || hide.some((name) => typeof name !== "string")) {
+    throw new Error("Overrides hide must be an array of stratagem names");
+  }
+  if (!Array.isArray(add) || add.some((entry) => !entry || typeof entry !== "object" || Array.isArray(entry))) {
+    throw new Error("Overrides add must be an array of stratagems");
+  }
+
+  // Input codes are checked whatever the validation mode: matching and
+  // typing rely on them being arrays of directions
+  const patches = new Map(
+    Object.entries(patch).map(([name, fields]) => {
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        throw new Error(`Override for ${name} must be an object of fields`);
+      }
+      return [name.trim().toLowerCase(), { name, fields: withInputCode(fields, name) }];
+    })
+  );
+  const added = add.map((entry, index) => {
+    if (typeof entry.name !== "string" || entry.name.trim() === "") {
+      throw new Error(`Added stratagem ${index} needs a name`);
+    }
+    if (entry.inputCode === undefined) {
+      throw new Error(`Added stratagem ${entry.name} needs an inputCode`);
+    }
+    return withInputCode(entry, entry.name);
+  });
+  const hidden = new Map(hide.map((name) => [name.trim().toLowerCase(), name]));
+
+  const merged = [];
+  for (const stratagem of stratagems) {
+    const key = String(stratagem.name).toLowerCase();
+    const override = patches.get(key);
+    patches.delete(key);
+    if (hidden.delete(key)) continue;
+    merged.push(override ? { ...stratagem, ...override.fields } : stratagem);
+  }
+
+  const unmatched = [
+    ...Array.from(patches.values()).map(({ name }) => name),
+    ...hidden.values(),
+  ];
+  return { stratagems: [...merged, ...added], unmatched };
+}
+
+class StratagemDatabase {
+  /**
+   * @param {string} filePath - Path to stratagems.json
+   * @param {Object} [options={}]
+   * @param {string} [options.overridesPath] - User overrides file (see
+   *   applyOverrides); a missing file means no overrides
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this._overridesPath = options.overridesPath || null;
+    this._stratagems = [];
+  }
+
+  /**
+   * Read stratagem definitions from disk and apply the user's overrides
+   * @returns {Object[]} Loaded stratagems
+   */
+  load() {
+    const raw = fs.readFileSync(this._filePath);
+    const stratagems = JSON.parse(raw);
+
+    if (!Array.isArray(stratagems)) {
+      throw new Error(`Stratagem database must be an array: ${this._filePath}`);
+    }
+
+    this._stratagems = stratagems;
+    console.log(`[StratagemDatabase] Loaded ${stratagems.length} stratagems`);
+
+    if (this._overridesPath && fs.existsSync(this._overridesPath)) {
+      const overrides = JSON.parse(fs.readFileSync(this._overridesPath));
+      let merged;
+      try {
+        merged = applyOverrides(stratagems, overrides);
+      } catch (error) {
+        throw new Error(`${error.message}: ${this._overridesPath}`);
+      }
+
+      for (const name of merged.unmatched) {
+        console.warn(`[StratagemDatabase] Override for unknown stratagem: ${name}`);
+      }
+      this._stratagems = merged.stratagems;
+      console.log(
+        `[StratagemDatabase] Applied overrides (${this._stratagems.length} stratagems) from ${this._overridesPath}`
+      );
+    }
+
+    return this._stratagems;
+  }
+
+  /**
+   * All loaded stratagems
+   * @returns {Object[]}
+   */
+  getAll() {
+    return this._stratagems;
+  }
+
+  /**
+   * Find a stratagem by name (case-insensitive)
+   * @param {string} name - Stratagem name
+   * @returns {Object|null}
+   */
+  findByName(name) {
+    const normalizedName = String(name).trim().toLowerCase();
+    return (
+      this._stratagems.find((s) => s.name.toLowerCase() === normalizedName) ||
+      null
+    );
+  }
+
+  /**
+   * Find a stratagem by its exact input code
+   * @param {string|string[]} inputCode - Input code
+   * @returns {Object|null}
+   */
+  findByCode(inputCode) {
+    const code = normalizeInputCode(inputCode).join("");
+    return (
+      this._stratagems.find((s) => s.inputCode.join("") === code) || null
+    );
+  }
+
+  /**
+   * Resolve a request payload to a stratagem
+   * A name must match a known stratagem; a bare input code that matches
+   * nothing is still allowed so clients can send codes not in the database.
+   * @param {Object} request
+   * @param {string} [request.name] - Stratagem name
+   * @param {string|string[]} [request.inputCode] - Input code
+   * @returns {Object} Stratagem (or ad-hoc entry with name null)
+   * @throws {Error} If neither field is given or the name is unknown
+   */
+  resolve({ name, inputCode } = {}) {
+    if (name) {
+      const stratagem = this.findByName(name);
+      if (!stratagem) {
+        throw new Error(`Unknown stratagem: ${name}`);
+      }
+      return stratagem;
+    }
+
+    if (inputCode) {
+      return (
+        this.findByCode(inputCode) || {
+          name: null,
+          inputCode: normalizeInputCode(inputCode),
+        }
+      );
+    }
+
+    throw new Error("Stratagem name or input code is required");
+  }
+}
+
+module.exports = { StratagemDatabase, applyOverrides, normalizeInputCode, DIRECTIONS };
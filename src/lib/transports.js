@@ -0,0 +1,367 @@
+/**
+ * HID Report Transports
+ * Pluggable sinks for 8-byte HID reports written by HIDKeyboard
+ *
+ * @version 1.0.0
+ */
+
+const fs = require("fs").promises;
+const { setTimeout: wait } = require("timers/promises");
+
+/**
+ * How often a non-blocking read checks for a host report (ms). Host
+ * reports are LED changes, i.e. someone pressing Caps Lock, so a few
+ * checks a second are plenty.
+ * @readonly
+ */
+const READ_POLL_INTERVAL = 250;
+
+/**
+ * Base transport interface
+ * Subclasses implement open/write/close for a particular report sink
+ */
+class HIDTransport {
+  /**
+   * Human readable transport name used in logs
+   * @returns {string}
+   */
+  get name() {
+    return "base";
+  }
+
+  /**
+   * Whether read() returns reports sent by the host
+   * @returns {boolean}
+   */
+  get supportsRead() {
+    return false;
+  }
+
+  /**
+   * Check whether the transport can be opened
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Open the underlying sink
+   * @returns {Promise<void>}
+   */
+  async open() {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  /**
+   * Write a single HID report
+   * @param {Buffer} report - Report bytes
+   * @returns {Promise<void>}
+   */
+  async write(report) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Wait for the next report from the host (e.g. keyboard LED state)
+   * @param {number} size - Maximum report size in bytes
+   * @returns {Promise<Buffer|null>} Report bytes, or null once closed
+   */
+  async read(size) {
+    throw new Error(`${this.constructor.name} does not support read()`);
+  }
+
+  /**
+   * Close the underlying sink
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * USB gadget character device (e.g. /dev/hidg0)
+ */
+class DeviceTransport extends HIDTransport {
+  /**
+   * @param {string} devicePath - HID gadget device path
+   */
+  constructor(devicePath) {
+    super();
+    this.devicePath = devicePath;
+    this.handle = null;
+    this._reader = null; // Separate non-blocking fd for host reports, opened by read()
+  }
+
+  get name() {
+    return `device:${this.devicePath}`;
+  }
+
+  get supportsRead() {
+    return true;
+  }
+
+  async isAvailable() {
+    try {
+      await fs.access(
+        this.devicePath,
+        fs.constants.F_OK | fs.constants.R_OK | fs.constants.W_OK
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async open() {
+    const available = await this.isAvailable();
+    if (!available) {
+      throw new Error(
+        `HID device not found or inaccessible: ${this.devicePath}`
+      );
+    }
+
+    this.handle = await fs.open(this.devicePath, "r+");
+  }
+
+  async write(report) {
+    if (!this.handle) {
+      throw new Error("Device is not open");
+    }
+
+    await this.handle.write(report, 0, report.length, null);
+  }
+
+  async read(size) {
+    const reader = this._reader || (await this._openReader());
+    const buffer = Buffer.alloc(size);
+
+    // Poll the non-blocking fd: a blocking read would hold a libuv worker
+    // thread until the host sends something, and close() would wait for it
+    while (reader && !reader.closed) {
+      reader.pending = reader.handle.read(buffer, 0, size, null).then(
+        ({ bytesRead }) => bytesRead,
+        (error) => {
+          if (error.code === "EAGAIN" || error.code === "EWOULDBLOCK") return 0;
+          throw error;
+        }
+      );
+      const bytesRead = await reader.pending.finally(() => {
+        reader.pending = null;
+      });
+
+      if (bytesRead > 0) return buffer.subarray(0, bytesRead);
+      await wait(READ_POLL_INTERVAL);
+    }
+    return null;
+  }
+
+  /**
+   * Open the reader fd on first use; only the keyboard function reads
+   * host reports, so the mouse and consumer devices never open one
+   * @private
+   * @returns {Promise<Object|null>} The reader, or null if the device is closed
+   */
+  async _openReader() {
+    const device = this.handle;
+    if (!device) return null;
+
+    const handle = await fs.open(this.devicePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK);
+    if (this.handle !== device || this._reader) {
+      // Closed (or already opened) while this one was opening
+      await handle.close();
+      return this.handle === device ? this._reader : null;
+    }
+
+    this._reader = {
+      handle,
+      closed: false,
+      pending: null, // Read syscall in flight
+    };
+    return this._reader;
+  }
+
+  async close() {
+    const reader = this._reader;
+    this._reader = null;
+    if (reader) {
+      // Only a non-blocking syscall can be in flight; let it finish before
+      // the fd is closed so it cannot be reused under it
+      reader.closed = true;
+      if (reader.pending) await reader.pending.catch(() => {});
+      await reader.handle.close();
+    }
+
+    if (this.handle) {
+      const handle = this.handle;
+      this.handle = null;
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * In-memory recorder
+ * Stores every report with a timestamp so tests and dev setups can inspect
+ * exactly what would have been sent to the host
+ */
+class MemoryTransport extends HIDTransport {
+  constructor() {
+    super();
+    this.isOpen = false;
+    this.reports = [];
+    this._hostReports = []; // Simulated reports from the host
+    this._pendingReads = []; // Resolvers waiting for a host report
+  }
+
+  get name() {
+    return "memory";
+  }
+
+  get supportsRead() {
+    return true;
+  }
+
+  async open() {
+    this.isOpen = true;
+  }
+
+  async write(report) {
+    if (!this.isOpen) {
+      throw new Error("Memory transport is not open");
+    }
+
+    this.reports.push({ timestamp: Date.now(), report: Buffer.from(report) });
+  }
+
+  async read(size) {
+    if (!this.isOpen) {
+      return null;
+    }
+
+    if (this._hostReports.length > 0) {
+      return this._hostReports.shift().subarray(0, size);
+    }
+
+    return new Promise((resolve) => {
+      this._pendingReads.push((report) =>
+        resolve(report ? report.subarray(0, size) : null)
+      );
+    });
+  }
+
+  async close() {
+    this.isOpen = false;
+    for (const resolve of this._pendingReads.splice(0)) {
+      resolve(null);
+    }
+  }
+
+  /**
+   * Simulate a report sent by the host (e.g. an LED output report)
+   * @param {Buffer|number[]} report - Report bytes
+   */
+  pushHostReport(report) {
+    const buffer = Buffer.from(report);
+    const pending = this._pendingReads.shift();
+    if (pending) {
+      pending(buffer);
+    } else {
+      this._hostReports.push(buffer);
+    }
+  }
+
+  /**
+   * Recorded reports as plain byte arrays
+   * @returns {number[][]}
+   */
+  getReports() {
+    return this.reports.map(({ report }) => Array.from(report));
+  }
+
+  /**
+   * Forget all recorded reports
+   */
+  clear() {
+    this.reports = [];
+  }
+}
+
+/**
+ * File or FIFO sink
+ * Appends raw report bytes to a regular file; FIFOs are opened read/write
+ * so opening never blocks waiting for a reader
+ */
+class FileTransport extends HIDTransport {
+  /**
+   * @param {string} filePath - Output file or FIFO path
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.handle = null;
+  }
+
+  get name() {
+    return `file:${this.filePath}`;
+  }
+
+  async open() {
+    let isFifo = false;
+    try {
+      isFifo = (await fs.stat(this.filePath)).isFIFO();
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    this.handle = await fs.open(this.filePath, isFifo ? "r+" : "a");
+  }
+
+  async write(report) {
+    if (!this.handle) {
+      throw new Error("File is not open");
+    }
+
+    await this.handle.write(report, 0, report.length, null);
+  }
+
+  async close() {
+    if (this.handle) {
+      const handle = this.handle;
+      this.handle = null;
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Create a transport from a type name
+ * @param {string} type - One of "device", "memory" or "file"
+ * @param {Object} [options={}] - Transport options
+ * @param {string} [options.devicePath] - Path for the device transport
+ * @param {string} [options.filePath] - Path for the file transport
+ * @returns {HIDTransport}
+ * @throws {Error} If the type is unknown
+ */
+function createTransport(type, options = {}) {
+  switch (type) {
+    case "device":
+      return new DeviceTransport(options.devicePath);
+    case "memory":
+      return new MemoryTransport();
+    case "file":
+      if (!options.filePath) {
+        throw new Error("File transport requires a filePath");
+      }
+      return new FileTransport(options.filePath);
+    default:
+      throw new Error(`Unknown HID transport: ${type}`);
+  }
+}
+
+module.exports = {
+  HIDTransport,
+  DeviceTransport,
+  MemoryTransport,
+  FileTransport,
+  createTransport,
+};
@@ -0,0 +1,232 @@
+/**
+ * Stuck Key Watchdog
+ * Tracks which client holds which keys so a dropped connection cannot leave
+ * keys down on the host, and force-releases anything held longer than the
+ * configured maximum. Keys are followed from the reports actually written,
+ * so a key left down any way (holdKey, pressKey without autoRelease, a
+ * cancelled sequence) is covered.
+ *
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require("events");
+const { decodeModifiers, decodeKeys } = require("./reportLog.js");
+
+/**
+ * Default watchdog settings (`safety` section of config.json)
+ * @readonly
+ */
+const DEFAULT_WATCHDOG_CONFIG = {
+  releaseOnDisconnect: true, // Release a client's keys when it disconnects
+  maxHoldTime: 30000, // Force-release after this long (ms), 0 to disable
+};
+
+/**
+ * Origin of the releases the watchdog sends (see HIDKeyboard reportSent)
+ * @readonly
+ */
+const WATCHDOG_ORIGIN = { name: "watchdog", deviceId: null };
+
+/**
+ * Name a modifier bit or key code is tracked under, as in the report log
+ * @private
+ */
+function usageName({ modifiers, keyCode }) {
+  return modifiers ? decodeModifiers(modifiers)[0] : decodeKeys([keyCode])[0];
+}
+
+/**
+ * Usages down in a report, keyed by name
+ * @private
+ */
+function reportUsages(modifiers, keys) {
+  const usages = new Map();
+  for (let bit = 0x01; bit <= 0x80; bit <<= 1) {
+    if (modifiers & bit) usages.set(usageName({ modifiers: bit, keyCode: 0 }), { modifiers: bit, keyCode: 0 });
+  }
+  for (const keyCode of keys) {
+    if (keyCode) usages.set(usageName({ modifiers: 0, keyCode }), { modifiers: 0, keyCode });
+  }
+  return usages;
+}
+
+class KeyWatchdog extends EventEmitter {
+  /**
+   * @param {HIDKeyboard} keyboard - Keyboard to watch
+   * @param {Object} [options={}] - Settings (see DEFAULT_WATCHDOG_CONFIG)
+   */
+  constructor(keyboard, options = {}) {
+    super();
+
+    this.keyboard = keyboard;
+    this.config = { ...DEFAULT_WATCHDOG_CONFIG, ...options };
+    this._held = new Map(); // key name -> { usage, since, owners: Set, timer }
+
+    keyboard.on("reportSent", ({ modifiers, keys, origin }) => this._onReport(modifiers, keys, origin));
+    keyboard.on("allKeysReleased", () => this._forgetAll());
+    keyboard.on("disconnected", () => this._forgetAll());
+  }
+
+  /**
+   * Change settings; running hold timers are rescheduled
+   * @param {Object} options - Settings (see DEFAULT_WATCHDOG_CONFIG)
+   */
+  configure(options) {
+    this.config = { ...this.config, ...options };
+    for (const [key, entry] of this._held) {
+      this._schedule(key, entry);
+    }
+  }
+
+  /**
+   * Record that a client asked for a held key. The client whose report
+   * pressed a key owns it already; this adds clients holding it as well.
+   * @param {Object} owner - Client that sent holdKey
+   * @param {string} key - Key name
+   */
+  claim(owner, key) {
+    const usage = this.keyboard.resolveUsage(key);
+    const entry = usage && this._held.get(usageName(usage));
+    if (entry) entry.owners.add(owner);
+  }
+
+  /**
+   * Keys a client is holding
+   * @param {Object} owner - Client
+   * @returns {string[]}
+   */
+  heldBy(owner) {
+    return Array.from(this._held.entries())
+      .filter(([, entry]) => entry.owners.has(owner))
+      .map(([key]) => key);
+  }
+
+  /**
+   * Every held key with how long it has been down
+   * @returns {Array<{key: string, heldFor: number, owners: number}>}
+   */
+  getHeld() {
+    const now = Date.now();
+    return Array.from(this._held.entries()).map(([key, entry]) => ({
+      key,
+      heldFor: now - entry.since,
+      owners: entry.owners.size,
+    }));
+  }
+
+  /**
+   * Release the keys a client held that no other client still holds;
+   * called when the client disconnects
+   * @param {Object} owner - Client
+   * @returns {Promise<string[]>} Keys released
+   */
+  async releaseOwner(owner) {
+    const released = [];
+    let modifiers = 0;
+    const keyCodes = [];
+    for (const [key, entry] of this._held) {
+      if (!entry.owners.delete(owner) || entry.owners.size > 0) continue;
+      released.push(key);
+      modifiers |= entry.usage.modifiers;
+      if (entry.usage.keyCode) keyCodes.push(entry.usage.keyCode);
+    }
+
+    if (!this.config.releaseOnDisconnect || released.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.keyboard.releaseUsages(modifiers, keyCodes, { origin: WATCHDOG_ORIGIN });
+    } catch (error) {
+      // Fall back to releasing everything rather than leaving a key down
+      await this.keyboard.releaseAll({ emergency: true, origin: WATCHDOG_ORIGIN }).catch(() => {});
+    }
+
+    this.emit("forcedRelease", { reason: "disconnect", keys: released, owner });
+    return released;
+  }
+
+  /**
+   * Follow a written report: keys that went down are tracked, owned by
+   * the client the report was sent for, and keys that went up are dropped
+   * @private
+   */
+  _onReport(modifiers, keys, origin) {
+    const usages = reportUsages(modifiers, keys);
+
+    for (const key of Array.from(this._held.keys())) {
+      if (!usages.has(key)) this._forget(key);
+    }
+
+    for (const [key, usage] of usages) {
+      if (this._held.has(key)) continue;
+
+      const owners = new Set(origin && origin !== WATCHDOG_ORIGIN ? [origin] : []);
+      const entry = { usage, since: Date.now(), owners, timer: null };
+      this._held.set(key, entry);
+      this._schedule(key, entry);
+    }
+  }
+
+  /**
+   * (Re)arm the maximum hold timer of a key
+   * @private
+   */
+  _schedule(key, entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+
+    const { maxHoldTime } = this.config;
+    if (!(maxHoldTime > 0)) return;
+
+    const remaining = Math.max(0, entry.since + maxHoldTime - Date.now());
+    entry.timer = setTimeout(() => this._expire(key), remaining);
+    entry.timer.unref();
+  }
+
+  /**
+   * A key was held too long: release everything
+   * @private
+   */
+  async _expire(key) {
+    const entry = this._held.get(key);
+    if (!entry) return;
+
+    const keys = Array.from(this._held.keys());
+    const heldFor = Date.now() - entry.since;
+
+    try {
+      await this.keyboard.releaseAll({ emergency: true, origin: WATCHDOG_ORIGIN });
+    } catch (error) {
+      this.emit("error", error);
+      return;
+    }
+
+    this.emit("forcedRelease", { reason: "maxHoldTime", keys, key, heldFor });
+  }
+
+  /**
+   * Stop tracking a released key
+   * @private
+   */
+  _forget(key) {
+    const entry = this._held.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this._held.delete(key);
+  }
+
+  /**
+   * Stop tracking everything
+   * @private
+   */
+  _forgetAll() {
+    for (const entry of this._held.values()) {
+      clearTimeout(entry.timer);
+    }
+    this._held.clear();
+  }
+}
+
+module.exports = { KeyWatchdog, DEFAULT_WATCHDOG_CONFIG };
@@ -13,36 +13,272 @@ const http = require('http');
 const path = require('path');
 const fs = require('fs');
 const { HIDKeyboard } = require('./lib/hid.js');
-const { LightManager } = require('./lib/lights.js');
+const { HIDMouse } = require('./lib/mouse.js');
+const { StratagemDatabase } = require('./lib/stratagems.js');
+const { validateStratagems } = require('./lib/stratagemValidator.js');
+const { KeybindingManager } = require('./lib/keybindings.js');
+const { MacroRecorder, MacroStore } = require('./lib/macros.js');
+const { LoadoutStore } = require('./lib/loadouts.js');
+const { PadState } = require('./lib/padState.js');
+const { PairingManager, ROLES } = require('./lib/pairing.js');
+const { KeyWatchdog } = require('./lib/watchdog.js');
+const { StatsCollector } = require('./lib/stats.js');
+const { ReportLog, parseLog, toReports, replayReports } = require('./lib/reportLog.js');
+const { PluginManager } = require('./lib/plugins.js');
+const { ConfigManager, parseArgs, redactConfig } = require('./lib/config.js');
+const { CommandError, ERROR_CODES, validateParams } = require('./lib/commands.js');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  parseMessage,
+  checkProtocolVersion
+} = require('./lib/protocol.js');
+
+// Schema of the protocol handshake message
+const HELLO_PARAMS = {
+  protocolVersion: { type: 'integer', required: true }
+};
+
+// Older message names kept for existing clients
+const MESSAGE_ALIASES = {
+  'light-flash': 'lightFlash'
+};
+
+// Every role; commands default to full-keyboard clients only
+const ALL_ROLES = Object.keys(ROLES);
+
+// The kiosk itself (loopback connections) has full access without pairing
+const LOCAL_CLIENT = { local: true, role: 'full', deviceId: null, name: 'local' };
+
+// WebSocket close code telling a device its token was revoked
+const CLOSE_REVOKED = 4001;
+
+// WebSocket path of the stream overlay: no token, no commands, and only
+// stratagem activations are sent to it
+const OVERLAY_PATH = '/overlay';
+const OVERLAY_ROLE = 'overlay';
+const isOverlay = (ws) => ws.client.role === OVERLAY_ROLE;
+
+// Most log entries one replayReports may send, sent along or from the server's log
+const MAX_REPLAY_ENTRIES = 5000;
+
+const isLoopback = (address) =>
+  address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+
+// Longest holdTime a client may ask for (ms); keys meant to stay down use holdKey
+const MAX_HOLD_TIME = 5000;
+
+// Press options accepted by pressKey/pressWithHeld
+const PRESS_OPTIONS = {
+  type: 'object',
+  properties: {
+    holdTime: { type: 'number', min: 0, max: MAX_HOLD_TIME },
+    modifiers: { type: 'array', items: { type: 'string' } },
+    autoRelease: { type: 'boolean' }
+  }
+};
 
 class StratagemServer {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.configPath] - config.json to use
+   * @param {Object} [options.overrides] - Settings taking precedence over
+   *   config.json and the environment (CLI flags)
+   * @param {number} [options.port] - Shorthand for overrides.server.port
+   * @param {string} [options.host] - Shorthand for overrides.server.host
+   * @param {boolean} [options.mockHid] - Shorthand for overrides.mockHid
+   * @param {string} [options.publicDir] - Frontend directory
+   */
   constructor(options = {}) {
-    this.port = options.port || 3000;
-    this.host = options.host || '127.0.0.1';
     this.publicDir = options.publicDir || path.join(__dirname, '../public');
-    this.config = this.loadConfig();
+
+    const overrides = { ...options.overrides };
+    if (options.port || options.host) {
+      overrides.server = { ...overrides.server };
+      if (options.port) overrides.server.port = options.port;
+      if (options.host) overrides.server.host = options.host;
+    }
+    if (options.mockHid) overrides.mockHid = true;
+
+    // Defaults, config.json, environment and CLI flags, reloaded on change
+    this.configManager = new ConfigManager({ filePath: options.configPath, overrides });
+    this.config = this.configManager.load();
+    this.port = this.config.server.port;
+    // Bind to 0.0.0.0 (server.host) to let paired phones on the LAN in
+    this.host = this.config.server.host;
+    this.stratagemTiming = { ...this.config.stratagemTiming };
+
+    // Plugins (the light flash is one) get server events and their own
+    // plugins.<name> settings; they are started by start()
+    this.plugins = new PluginManager(
+      this.config.plugins.directory || path.join(__dirname, '../plugins'),
+      { config: this.config.plugins, api: (name) => this.createPluginApi(name) }
+    );
+    
+    // Load stratagem database, with the user's overrides from the config directory
+    this.stratagems = new StratagemDatabase(path.join(this.publicDir, 'stratagems.json'), {
+      overridesPath: this.config.stratagems.overridesPath ||
+        path.join(path.dirname(this.configManager.filePath), 'stratagems.user.json')
+    });
+    this.stratagems.load();
+    this.checkStratagems();
+
+    // Saved loadouts; the active one limits what input can match
+    this.loadouts = new LoadoutStore(
+      this.config.loadouts.filePath || path.join(__dirname, '../loadouts.json'),
+      this.stratagems
+    );
+    this.loadouts.load();
+    this.loadouts.on('change', () => this.broadcast(this.getLoadoutsMessage()));
+
+    // Load game keybinding profiles
+    this.keybindings = new KeybindingManager(this.config.keybindings);
     
+    // Paired LAN devices and their tokens
+    const { trustLocal = true, devicesPath, ...pairingOptions } = this.config.access;
+    this.trustLocal = trustLocal;
+    this.pairing = new PairingManager(
+      devicesPath || path.join(__dirname, '../devices.json'),
+      pairingOptions
+    );
+    this.pairing.load();
+    this.setupPairingEvents();
+
     // Initialize Express app
     this.app = express();
     this.server = http.createServer(this.app);
     
-    // Initialize WebSocket server
-    this.wss = new WebSocketServer({ server: this.server });
+    // Initialize WebSocket server (the upgrade needs a device token)
+    this.wss = new WebSocketServer({
+      server: this.server,
+      verifyClient: (info, done) => this.verifyClient(info, done)
+    });
     
-    // Initialize HID keyboard
-    this.keyboard = new HIDKeyboard({ enableLogging: true });
+    // Initialize HID keyboard (the in-memory transport stands in for the gadget device)
+    const hidOptions = { ...this.config.hid };
+    if (this.config.mockHid) {
+      hidOptions.transport = 'memory';
+    }
+    this.keyboard = new HIDKeyboard(hidOptions);
+    this.setupKeyboardEvents();
+
+    // Release keys of clients that drop, and keys held for too long
+    this.watchdog = new KeyWatchdog(this.keyboard, this.config.safety);
+    this.setupWatchdogEvents();
+
+    // Canonical pad state shared by every connected frontend
+    this.padState = new PadState({
+      keyboard: this.keyboard,
+      keybindings: this.keybindings,
+      stratagems: this.stratagems,
+      loadouts: this.loadouts
+    });
+    this.padState.on('change', (changes) => {
+      this.broadcast({ type: 'padState', changes });
+    });
+
+    // Usage statistics and latency metrics
+    const { filePath: statsPath, ...statsOptions } = this.config.stats;
+    this.stats = new StatsCollector(statsPath || path.join(__dirname, '../stats.json'), statsOptions);
+    this.stats.load();
+    this.padState.on('stratagemActivated', (activation) => this.stats.recordActivation(activation));
+    this.padState.on('stratagemActivated', (activation) => {
+      this.plugins.dispatch('stratagemActivated', activation);
+      this.broadcast({ type: 'stratagemActivated', stratagem: activation }, isOverlay);
+    });
+    this.keyboard.on('reportSent', ({ latency }) => this.stats.recordWriteLatency(latency));
+
+    // Every report sent to the host, for reproducing problems later
+    const { filePath: reportLogPath, ...reportLogOptions } = this.config.reportLog;
+    this.reportLog = new ReportLog(
+      reportLogPath || path.join(__dirname, '../reports.jsonl'),
+      reportLogOptions
+    );
+    this.reportLog.attach(this.keyboard);
+
+    // Initialize HID mouse (optional second gadget function)
+    this.mouse = null;
+    if (this.config.mouse.enabled) {
+      const { enabled, ...mouseOptions } = this.config.mouse;
+      if (hidOptions.transport === 'memory') {
+        mouseOptions.transport = 'memory';
+      }
+      this.mouse = new HIDMouse(mouseOptions);
+      this.mouse.on('error', (error) => {
+        console.error('[Server] HID mouse error:', error.message);
+      });
+    }
 
-    // Initialize LightManager
-    this.lightManager = new LightManager(this.config.lightIp); // Replace with your light's IP
+    // Macros are recorded from keyboard events and replayed as sequences
+    const macroConfig = this.config.macros;
+    this.macros = new MacroStore(
+      macroConfig.filePath || path.join(__dirname, '../macros.json'),
+      macroConfig.definitions
+    );
+    this.macros.load();
+    this.macroRecorder = new MacroRecorder(this.keyboard);
+    this.macroPlayback = new Set(); // AbortControllers of running macros
+
+    this.commands = this.createCommands();
     
     this.setupExpress();
     this.setupWebSocket();
+    this.setupConfigReload();
     this.setupErrorHandling();
   }
 
   setupExpress() {
     // Serve static files from public directory
     this.app.use(express.static(this.publicDir));
+    this.app.use(express.json());
+
+    // Stream overlay for OBS browser sources (options in the query string)
+    this.app.get('/overlay', (req, res) => {
+      res.sendFile(path.join(this.publicDir, 'overlay.html'));
+    });
+
+    // Exchange the PIN shown on the kiosk for a device token
+    this.app.post('/api/pair', (req, res) => {
+      const { pin, name } = req.body || {};
+      try {
+        const { token, device } = this.pairing.pair(pin, name);
+        res.status(201).json({ success: true, token, device });
+      } catch (error) {
+        const status = this.pairing.getPin() ? 401 : 409;
+        res.status(status).json({
+          success: false,
+          code: status === 401 ? ERROR_CODES.UNAUTHORIZED : ERROR_CODES.CONFLICT,
+          error: error.message
+        });
+      }
+    });
+
+    // Merged stratagem list (bundled database plus user overrides). Open
+    // like the static file it replaces, since the pad needs it before pairing
+    this.app.get('/api/stratagems', (req, res) => {
+      res.json(this.stratagems.getAll());
+    });
+
+    // Everything else under /api needs a device token (or a local client)
+    this.app.use('/api', (req, res, next) => {
+      const header = req.get('authorization') || '';
+      const match = header.match(/^Bearer\s+(\S+)$/i);
+      req.client = this.authenticate(req, match && match[1]);
+      if (!req.client) {
+        res.status(401).json({
+          success: false,
+          code: ERROR_CODES.UNAUTHORIZED,
+          error: 'Pair this device with the PIN shown on the pad first'
+        });
+        return;
+      }
+      next();
+    });
+
+    // Who the caller is, so the frontend knows whether it needs to pair
+    this.app.get('/api/session', (req, res) => {
+      res.json(req.client);
+    });
     
     // Health check endpoint
     this.app.get('/health', (req, res) => {
@@ -57,219 +293,1299 @@ class StratagemServer {
     this.app.get('/api/status', (req, res) => {
       res.json({
         connected: this.keyboard.isConnected,
+        mouseConnected: this.mouse ? this.mouse.isConnected : false,
+        mediaConnected: this.keyboard.mediaConnected,
+        leds: this.keyboard.ledState,
+        hostLastSeen: this.keyboard.lastHostReportAt
+          ? new Date(this.keyboard.lastHostReportAt).toISOString()
+          : null,
+        heldKeys: this.watchdog.getHeld(),
         availableKeys: this.keyboard.getAvailableKeys()
       });
     });
+
+    // Shared pad state (menu, current input, last stratagem, HID connection)
+    this.app.get('/api/pad', (req, res) => {
+      res.json(this.padState.getState());
+    });
+
+    // Usage statistics as JSON, or Prometheus text with ?format=prometheus
+    // (or a text/plain Accept header, as sent by Prometheus scrapers)
+    this.app.get('/api/stats', (req, res) => {
+      const prometheus = req.query.format === 'prometheus' ||
+        (req.query.format === undefined && req.accepts(['application/json', 'text/plain']) === 'text/plain');
+      if (prometheus) {
+        res.type('text/plain; version=0.0.4').send(this.stats.toPrometheus());
+        return;
+      }
+      res.json(this.stats.getStats());
+    });
+    this.app.delete('/api/stats', this.commandRoute('resetStats'));
+
+    // HID report log download (rotated files included, oldest first)
+    this.app.get('/api/reports/log', (req, res) => {
+      if (req.client.role !== 'full') {
+        res.status(403).json({ error: 'Downloading the report log needs full access' });
+        return;
+      }
+
+      res.type('application/x-ndjson')
+        .attachment('reports.jsonl')
+        .send(this.reportLog.read());
+    });
+
+    // Replay logged reports: a JSON body ({ entries, speed, maxGap }), or a
+    // downloaded log posted as application/x-ndjson with ?speed= and ?maxGap=
+    this.app.post(
+      '/api/reports/replay',
+      express.text({ type: 'application/x-ndjson', limit: '10mb' }),
+      this.commandRoute('replayReports', (req) => {
+        if (typeof req.body !== 'string') return req.body;
+        const payload = { entries: parseLog(req.body) };
+        for (const name of ['limit', 'speed', 'maxGap']) {
+          if (req.query[name] !== undefined) payload[name] = Number(req.query[name]);
+        }
+        // A whole downloaded log may hold more than one replay may send
+        if (payload.limit > 0) payload.entries = payload.entries.slice(-payload.limit);
+        return payload;
+      })
+    );
+
+    // Effective config (defaults, config.json, environment, CLI flags), without passwords
+    this.app.get('/api/config', (req, res) => {
+      res.json(redactConfig(this.config));
+    });
+
+    // Loadouts: create, edit, delete and pick the one input is matched against
+    this.app.get('/api/loadouts', this.commandRoute('getLoadouts'));
+    this.app.post('/api/loadouts', this.commandRoute('createLoadout'));
+    this.app.put('/api/loadouts/active', this.commandRoute('activateLoadout'));
+    this.app.put('/api/loadouts/:name', this.commandRoute('updateLoadout', (req) => ({
+      ...req.body,
+      newName: (req.body || {}).name,
+      name: req.params.name
+    })));
+    this.app.delete('/api/loadouts/:name', this.commandRoute('deleteLoadout', (req) => ({
+      name: req.params.name
+    })));
+
+    // API endpoints for game keybinding profiles
+    this.app.get('/api/keybindings', (req, res) => {
+      res.json(this.keybindings.toJSON());
+    });
+
+    this.app.put('/api/keybindings/active', (req, res) => {
+      if (req.client.role !== 'full') {
+        res.status(403).json({ error: 'Switching keybinding profiles needs full access' });
+        return;
+      }
+
+      try {
+        this.setKeybindingProfile((req.body || {}).name);
+        res.json(this.keybindings.toJSON());
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // REST mirror of the WebSocket commands (same validation and handlers)
+    this.app.post('/api/keys/press', this.commandRoute('pressKey'));
+    this.app.post('/api/keys/press-with-held', this.commandRoute('pressWithHeld'));
+    this.app.post('/api/keys/hold', this.commandRoute('holdKey'));
+    this.app.post('/api/keys/release', this.commandRoute('releaseKey'));
+    this.app.post('/api/keys/release-all', this.commandRoute('releaseAll'));
+    this.app.post('/api/stratagems/execute', this.commandRoute('executeStratagem'));
+    this.app.post('/api/stratagems/:name/execute', this.commandRoute('executeStratagem', (req) => ({
+      ...req.body,
+      name: req.params.name
+    })));
+    this.app.post('/api/lights/flash', this.commandRoute('lightFlash'));
+    this.app.get('/api/plugins', this.commandRoute('listPlugins'));
+
+    // Pairing and paired device management
+    this.app.post('/api/pairing/pin', this.commandRoute('startPairing'));
+    this.app.delete('/api/pairing/pin', this.commandRoute('cancelPairing'));
+    this.app.get('/api/devices', this.commandRoute('listDevices'));
+    this.app.delete('/api/devices/:id', this.commandRoute('revokeDevice', (req) => ({
+      id: req.params.id
+    })));
+
+    // Malformed JSON bodies are client errors, not server errors
+    this.app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        res.status(400).json({
+          success: false,
+          code: ERROR_CODES.INVALID_MESSAGE,
+          error: 'Request body is not valid JSON'
+        });
+        return;
+      }
+      next(error);
+    });
+  }
+
+  /**
+   * Express handler running a command with the request body as payload
+   * @param {string} name - Command name
+   * @param {Function} [getPayload] - Builds the payload from the request
+   * @returns {Function} Express route handler
+   */
+  commandRoute(name, getPayload = (req) => req.body) {
+    return async (req, res) => {
+      try {
+        const result = await this.runCommand(name, getPayload(req) || {}, req.client);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        res.status(error.status || 500).json({
+          success: false,
+          code: error.code || ERROR_CODES.COMMAND_FAILED,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  setupKeyboardEvents() {
+    // Tell every client when the USB host attaches or detaches
+    this.keyboard.on('connected', () => {
+      console.log('[Server] HID host attached');
+      this.broadcast({ type: 'hidStatus', connected: true });
+      this.plugins.dispatch('hidConnected');
+    });
+
+    this.keyboard.on('disconnected', ({ reason } = {}) => {
+      console.log(`[Server] HID host detached (${reason})`);
+      this.broadcast({ type: 'hidStatus', connected: false, reason });
+      this.plugins.dispatch('hidDisconnected', { reason });
+    });
+
+    this.keyboard.on('reconnecting', ({ attempt, delay }) => {
+      this.broadcast({ type: 'hidStatus', connected: false, reconnecting: true, attempt, delay });
+    });
+
+    this.keyboard.on('ledState', (leds) => {
+      this.broadcast({ type: 'ledState', leds });
+    });
+
+    this.keyboard.on('error', (error) => {
+      console.error('[Server] HID error:', error.message);
+    });
+  }
+
+  setupWatchdogEvents() {
+    this.watchdog.on('forcedRelease', ({ reason, keys, owner, key, heldFor }) => {
+      if (reason === 'disconnect') {
+        console.warn(`[Server] Released ${keys.join(', ')} held by disconnected client (${owner.name})`);
+      } else {
+        console.warn(`[Server] ${key} held for ${heldFor}ms, released all keys`);
+      }
+      this.broadcast({
+        type: 'forcedRelease',
+        reason,
+        keys,
+        client: owner ? owner.name : undefined,
+        heldFor
+      });
+      this.plugins.dispatch('forcedRelease', { reason, keys });
+    });
+
+    this.watchdog.on('error', (error) => {
+      console.error('[Server] Watchdog failed to release keys:', error.message);
+    });
+  }
+
+  setupPairingEvents() {
+    // Only full-access clients see the device list
+    const toFullClients = (ws) => ws.client.role === 'full';
+
+    this.pairing.on('paired', (device) => {
+      this.broadcast({ type: 'devicePaired', device }, toFullClients);
+      this.broadcast(this.getDevicesMessage(), toFullClients);
+    });
+
+    this.pairing.on('pinDiscarded', () => {
+      this.broadcast(this.getDevicesMessage(), toFullClients);
+    });
+
+    this.pairing.on('revoked', (device) => {
+      // Drop the device's open connections; its token no longer works
+      for (const ws of this.wss.clients) {
+        if (ws.client.deviceId === device.id) {
+          ws.close(CLOSE_REVOKED, 'Device revoked');
+        }
+      }
+      this.broadcast(this.getDevicesMessage(), toFullClients);
+    });
   }
 
-  loadConfig() {
-    const configPath = path.join(__dirname, '../config.json');
-    if (fs.existsSync(configPath)) {
-      const rawConfig = fs.readFileSync(configPath);
-      return JSON.parse(rawConfig);
+  /**
+   * Identify the client behind a request
+   * @param {http.IncomingMessage} req - HTTP request or WebSocket upgrade
+   * @param {string} [token] - Device token
+   * @returns {Object|null} Client `{ local, role, deviceId, name }`, or null if unknown
+   */
+  authenticate(req, token) {
+    if (this.trustLocal && isLoopback(req.socket.remoteAddress)) {
+      return LOCAL_CLIENT;
     }
-    
-    // Fallback to example config if config.json doesn't exist
-    const exampleConfigPath = path.join(__dirname, '../config.example.json');
-    if (fs.existsSync(exampleConfigPath)) {
-      const rawConfig = fs.readFileSync(exampleConfigPath);
-      return JSON.parse(rawConfig);
+
+    const device = this.pairing.authenticate(token);
+    if (!device) return null;
+    return { local: false, role: device.role, deviceId: device.id, name: device.name };
+  }
+
+  /**
+   * WebSocket upgrade check; browsers cannot set headers on the upgrade,
+   * so the token comes in the `token` query parameter
+   */
+  verifyClient({ req }, done) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === OVERLAY_PATH) {
+      // Activations are shown on stream anyway; the overlay needs no token
+      req.client = { local: false, role: OVERLAY_ROLE, deviceId: null, name: 'overlay' };
+      done(true);
+      return;
     }
 
-    return {
-      lightIp: '127.0.0.1' // Default if no config file
-    };
+    const token = url.searchParams.get('token');
+    req.client = this.authenticate(req, token);
+    if (!req.client) {
+      done(false, 401, 'Unauthorized');
+      return;
+    }
+    done(true);
+  }
+
+  setupConfigReload() {
+    this.configManager.on('change', ({ config, changes, restartRequired }) => {
+      console.log(`[Server] config.json changed: ${changes.join(', ')}`);
+      if (restartRequired.length > 0) {
+        console.warn(`[Server] Restart to apply: ${restartRequired.join(', ')}`);
+      }
+
+      this.applyConfig(config, changes);
+      this.broadcast(this.getConfigMessage(restartRequired));
+    });
+
+    this.configManager.on('error', (error) => {
+      console.error(`[Server] Keeping previous config: ${error.message}`);
+    });
+  }
+
+  /**
+   * Apply the settings that can change while running
+   * @param {Object} config - New effective config
+   * @param {string[]} changes - Changed settings (dotted paths)
+   */
+  applyConfig(config, changes) {
+    const changed = (section) => changes.some((setting) => setting.startsWith(`${section}.`));
+    this.config = config;
+
+    // Keystroke timing is read from the config on every call
+    for (const name of ['defaultDelay', 'keyHoldTime', 'mediaKeyHoldTime', 'autoRelease',
+      'autoReconnect', 'reconnectDelay', 'maxReconnectDelay', 'enableLogging']) {
+      if (config.hid[name] !== undefined) this.keyboard.config[name] = config.hid[name];
+    }
+    if (changes.includes('hid.layout')) {
+      try {
+        this.keyboard.setLayout(config.hid.layout);
+      } catch (error) {
+        console.error(`[Server] ${error.message}`);
+      }
+    }
+
+    if (this.mouse) {
+      this.mouse.config.clickHoldTime = config.mouse.clickHoldTime;
+      this.mouse.config.enableLogging = config.mouse.enableLogging;
+    }
+
+    if (changed('stratagemTiming')) {
+      this.stratagemTiming = { ...config.stratagemTiming };
+    }
+
+    if (changed('plugins')) {
+      this.plugins.configure(config.plugins);
+    }
+
+    if (changes.includes('keybindings.active')) {
+      try {
+        this.setKeybindingProfile(config.keybindings.active);
+      } catch (error) {
+        console.error(`[Server] ${error.message}`);
+      }
+    }
+
+    this.watchdog.configure(config.safety);
+    this.stats.config.saveInterval = config.stats.saveInterval;
+    const { filePath: reportLogPath, ...reportLogOptions } = config.reportLog;
+    Object.assign(this.reportLog.config, reportLogOptions);
+
+    const { trustLocal = true, devicesPath, ...pairingOptions } = config.access;
+    this.trustLocal = trustLocal;
+    Object.assign(this.pairing.config, pairingOptions);
+  }
+
+  /**
+   * Effective config for clients, without passwords
+   * @param {string[]} [restartRequired=[]] - Changed settings not applied yet
+   */
+  getConfigMessage(restartRequired = []) {
+    return { type: 'config', config: redactConfig(this.config), restartRequired };
   }
 
   setupWebSocket() {
-    this.wss.on('connection', (ws) => {
-      console.log('[Server] Client connected');
-      
+    this.wss.on('connection', (ws, req) => {
+      // One object per connection, so the watchdog can tell sockets apart
+      ws.client = { ...req.client };
+      console.log(`[Server] Client connected (${ws.client.name}, ${ws.client.role})`);
+      ws.protocolVersion = null; // Set by the hello handshake
+      ws.on('message', (data) => this.handleMessage(ws, data));
+
+      ws.on('error', (error) => {
+        console.error('[Server] WebSocket error:', error.message);
+      });
+
+      if (isOverlay(ws)) {
+        ws.on('close', () => console.log('[Server] Overlay disconnected'));
+        return;
+      }
+
       // Send initial status
       this.sendToClient(ws, {
         type: 'status',
+        protocolVersion: PROTOCOL_VERSION,
         connected: this.keyboard.isConnected
       });
-
-      ws.on('message', async (data) => {
-        try {
-          const message = JSON.parse(data.toString());
-          await this.handleMessage(ws, message);
-        } catch (error) {
-          console.error('[Server] Error handling message:', error.message);
-          this.sendError(ws, error.message);
-        }
-      });
+      this.sendToClient(ws, { type: 'padState', full: true, state: this.padState.getState() });
+      this.sendToClient(ws, this.getConfigMessage());
+      this.sendToClient(ws, this.getLoadoutsMessage());
+      const { name, role, deviceId } = ws.client;
+      this.plugins.dispatch('clientConnected', { name, role, deviceId });
 
       ws.on('close', () => {
         console.log('[Server] Client disconnected');
-      });
-
-      ws.on('error', (error) => {
-        console.error('[Server] WebSocket error:', error.message);
+        this.plugins.dispatch('clientDisconnected', { name, role, deviceId });
+        this.watchdog.releaseOwner(ws.client).catch((error) => {
+          console.error('[Server] Failed to release keys of disconnected client:', error.message);
+        });
       });
     });
   }
 
-  async handleMessage(ws, message) {
-    const { type, ...payload } = message;
-    
-    switch (type) {
-      case 'connect':
-        await this.handleConnect(ws);
-        break;
-        
-      case 'disconnect':
-        await this.handleDisconnect(ws);
-        break;
-        
-      case 'holdKey':
-        await this.handleHoldKey(ws, payload);
-        break;
-        
-      case 'releaseKey':
-        await this.handleReleaseKey(ws, payload);
-        break;
-        
-      case 'pressKey':
-        await this.handlePressKey(ws, payload);
-        break;
-        
-      case 'pressWithHeld':
-        await this.handlePressWithHeld(ws, payload);
-        break;
-        
-      case 'releaseAll':
-        await this.handleReleaseAll(ws);
-        break;
-
-      case 'light-flash':
-        await this.handleLightFlash(ws, payload);
-        break;
-        
-      default:
-        throw new Error(`Unknown message type: ${type}`);
-    }
-  }
-
-  async handleConnect(ws) {
+  /**
+   * Parse, validate and run one client message. Replies and errors echo
+   * the message's `id` so clients can match them to their requests.
+   * @param {WebSocket} ws - Client socket
+   * @param {Buffer|string} data - Raw message
+   */
+  async handleMessage(ws, data) {
+    let request = {};
+
     try {
-      const success = await this.keyboard.connect();
-      this.sendToClient(ws, {
-        type: 'connected',
-        success
-      });
-      console.log('[Server] HID keyboard connected');
+      request = parseMessage(data);
+      const { type, id, payload } = request;
+
+      if (type === 'hello') {
+        this.handleHello(ws, id, payload);
+        return;
+      }
+
+      if (ws.protocolVersion === null) {
+        throw new CommandError('Send hello with your protocolVersion first', 400, ERROR_CODES.HELLO_REQUIRED);
+      }
+
+      const name = MESSAGE_ALIASES[type] || type;
+      if (!this.commands[name]) {
+        throw new CommandError(`Unknown message type: ${type}`, 400, ERROR_CODES.UNKNOWN_TYPE);
+      }
+
+      const result = await this.runCommand(name, payload, ws.client);
+      this.sendToClient(ws, { type: this.commands[name].reply, id, ...result });
     } catch (error) {
-      this.sendError(ws, `Failed to connect: ${error.message}`);
+      console.error('[Server] Error handling message:', error.message);
+      this.sendError(ws, error, { id: request.id !== undefined ? request.id : error.id, requestType: request.type });
     }
   }
 
-  async handleDisconnect(ws) {
+  /**
+   * Protocol handshake: check the client's version and describe the server
+   * @param {WebSocket} ws - Client socket
+   * @param {string|number} [id] - Request id
+   * @param {Object} payload - `{ protocolVersion }`
+   */
+  handleHello(ws, id, payload) {
+    const { protocolVersion } = validateParams(HELLO_PARAMS, payload);
+
     try {
-      await this.keyboard.disconnect();
-      this.sendToClient(ws, {
-        type: 'disconnected'
-      });
-      console.log('[Server] HID keyboard disconnected');
+      checkProtocolVersion(protocolVersion);
     } catch (error) {
-      this.sendError(ws, `Failed to disconnect: ${error.message}`);
+      this.sendError(ws, error, { id, requestType: 'hello' });
+      ws.close(1002, 'Unsupported protocol version');
+      return;
     }
+
+    ws.protocolVersion = protocolVersion;
+    this.sendToClient(ws, {
+      type: 'hello',
+      id,
+      protocolVersion: PROTOCOL_VERSION,
+      supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      role: ws.client.role,
+      messageTypes: [
+        'hello',
+        ...Object.keys(this.commands).filter((name) => this.isAllowed(this.commands[name], ws.client)),
+        ...Object.keys(MESSAGE_ALIASES).filter((alias) =>
+          this.isAllowed(this.commands[MESSAGE_ALIASES[alias]], ws.client))
+      ]
+    });
   }
 
-  async handleHoldKey(ws, { key }) {
-    if (!key) throw new Error('Key is required');
-    
+  /**
+   * Commands shared by the WebSocket and REST transports, keyed by
+   * WebSocket message type. Each has a parameter spec (the message schema),
+   * the reply type, the prefix for failures and a handler returning the
+   * reply fields; handlers also receive the client that sent the command.
+   * Handlers may return a `type` to override the reply type.
+   * Commands are limited to full-access clients unless they list `roles`;
+   * `padKeys` commands only accept the menu and direction keys from
+   * clients without full access.
+   * @returns {Object} Commands keyed by name
+   */
+  createCommands() {
+    return {
+      connect: {
+        roles: ALL_ROLES,
+        params: {},
+        reply: 'connected',
+        failure: 'Failed to connect',
+        run: async () => {
+          try {
+            const success = await this.keyboard.connect();
+            console.log('[Server] HID keyboard connected');
+            return { success, mouse: await this.connectMouse() };
+          } catch (error) {
+            throw new CommandError(`Failed to connect: ${error.message}`, 503);
+          }
+        }
+      },
+      disconnect: {
+        params: {},
+        reply: 'disconnected',
+        failure: 'Failed to disconnect',
+        run: async () => {
+          await this.keyboard.disconnect();
+          if (this.mouse) await this.mouse.disconnect();
+          console.log('[Server] HID keyboard disconnected');
+          return {};
+        }
+      },
+      holdKey: {
+        roles: ALL_ROLES,
+        padKeys: true,
+        params: { key: { type: 'string', required: true } },
+        hid: true,
+        reply: 'keyHeld',
+        failure: 'Failed to hold key',
+        run: async ({ key }, client) => {
+          this.requireKnownKey(key);
+          await this.keyboard.holdKey(key, { origin: client });
+          this.watchdog.claim(client, key);
+          this.plugins.dispatch('keyHeld', { key, client: client.name });
+          return { key };
+        }
+      },
+      releaseKey: {
+        roles: ALL_ROLES,
+        padKeys: true,
+        params: { key: { type: 'string', required: true } },
+        hid: true,
+        reply: 'keyReleased',
+        failure: 'Failed to release key',
+        run: async ({ key }, client) => {
+          this.requireKnownKey(key);
+          this.keyboard.notifyRelease(key);
+          await this.keyboard.releaseKey(key, { origin: client });
+          this.plugins.dispatch('keyReleased', { key, client: client.name });
+          return { key };
+        }
+      },
+      pressKey: {
+        roles: ALL_ROLES,
+        padKeys: true,
+        params: { key: { type: 'string', required: true }, options: PRESS_OPTIONS },
+        hid: true,
+        reply: 'keyPressed',
+        failure: 'Failed to press key',
+        run: async ({ key, options = {} }, client) => {
+          this.requireKnownKey(key);
+          await this.keyboard.pressKey(key, { ...options, origin: client });
+          return { key, options };
+        }
+      },
+      pressWithHeld: {
+        roles: ALL_ROLES,
+        padKeys: true,
+        params: { key: { type: 'string', required: true }, options: PRESS_OPTIONS },
+        hid: true,
+        reply: 'keyPressedWithHeld',
+        failure: 'Failed to press key with held',
+        run: async ({ key, options = {} }, client) => {
+          this.requireKnownKey(key);
+          await this.keyboard.pressWithHeld(key, { ...options, origin: client });
+          return { key, options };
+        }
+      },
+      releaseAll: {
+        roles: ALL_ROLES,
+        // Queued like any other operation; only a panic release (emergency)
+        // cancels what other clients have queued or running
+        params: { emergency: { type: 'boolean', default: false } },
+        hid: true,
+        reply: 'allKeysReleased',
+        failure: 'Failed to release all keys',
+        run: async ({ emergency }, client) => {
+          this.keyboard.notifyRelease();
+          await this.keyboard.releaseAll({ emergency, origin: client });
+          return {};
+        }
+      },
+      executeStratagem: {
+        roles: ALL_ROLES,
+        params: {
+          name: { type: 'string' },
+          inputCode: { type: ['string', 'array'] },
+          throw: { type: 'boolean', default: false }
+        },
+        hid: true,
+        reply: 'stratagemExecuted',
+        failure: 'Failed to execute stratagem',
+        run: async ({ name, inputCode, throw: throwAfter }, client) => {
+          const stratagem = this.resolveStratagem({ name, inputCode });
+          if (stratagem.macro) {
+            // Custom entries from the overrides file can play a macro instead
+            await this.playMacro(this.requireMacro(stratagem.macro), client);
+          } else {
+            await this.executeStratagem(stratagem, { throw: throwAfter, origin: client });
+          }
+          return { name: stratagem.name, inputCode: stratagem.inputCode };
+        }
+      },
+      pressMediaKey: {
+        params: {
+          key: { type: 'string', required: true },
+          options: { type: 'object', properties: { holdTime: { type: 'number', min: 0, max: MAX_HOLD_TIME } } }
+        },
+        hid: true,
+        reply: 'mediaKeyPressed',
+        failure: 'Failed to press media key',
+        run: async ({ key, options = {} }) => {
+          const normalizedKey = key.toLowerCase().trim();
+          if (!(normalizedKey in HIDKeyboard.MEDIA_KEYS) && !(normalizedKey in HIDKeyboard.MEDIA_KEY_FALLBACKS)) {
+            throw new CommandError(`Unknown media key: ${key}`);
+          }
+          await this.keyboard.pressMediaKey(key, options);
+          return { key };
+        }
+      },
+      mouseClick: {
+        roles: ALL_ROLES,
+        params: {
+          button: { type: 'string', default: 'left' },
+          options: { type: 'object', properties: { holdTime: { type: 'number', min: 0, max: MAX_HOLD_TIME } } }
+        },
+        reply: 'mouseClicked',
+        failure: 'Failed to click mouse',
+        run: async ({ button, options = {} }) => {
+          await this.requireMouse(button).click(button, options);
+          return { button };
+        }
+      },
+      mouseHold: {
+        params: { button: { type: 'string', default: 'left' } },
+        reply: 'mouseHeld',
+        failure: 'Failed to hold mouse button',
+        run: async ({ button }) => {
+          await this.requireMouse(button).press(button);
+          return { button };
+        }
+      },
+      mouseRelease: {
+        params: { button: { type: 'string' } },
+        reply: 'mouseReleased',
+        failure: 'Failed to release mouse button',
+        run: async ({ button }) => {
+          const mouse = this.requireMouse(button);
+          if (button) {
+            await mouse.release(button);
+          } else {
+            await mouse.releaseAll();
+          }
+          return { button: button || null };
+        }
+      },
+      mouseMove: {
+        params: {
+          x: { type: 'integer', min: -HIDMouse.MAX_MOVEMENT, max: HIDMouse.MAX_MOVEMENT, default: 0 },
+          y: { type: 'integer', min: -HIDMouse.MAX_MOVEMENT, max: HIDMouse.MAX_MOVEMENT, default: 0 },
+          wheel: { type: 'integer', min: -HIDMouse.MAX_MOVEMENT, max: HIDMouse.MAX_MOVEMENT, default: 0 }
+        },
+        reply: 'mouseMoved',
+        failure: 'Failed to move mouse',
+        run: async ({ x, y, wheel }) => {
+          await this.requireMouse().move(x, y, wheel);
+          return { x, y, wheel };
+        }
+      },
+      getPadState: {
+        roles: ALL_ROLES,
+        params: {},
+        reply: 'padState',
+        failure: 'Failed to get pad state',
+        run: async () => ({ full: true, state: this.padState.getState() })
+      },
+      getStats: {
+        roles: ALL_ROLES,
+        params: {},
+        reply: 'stats',
+        failure: 'Failed to get statistics',
+        run: async () => ({ stats: this.stats.getStats() })
+      },
+      resetStats: {
+        params: {},
+        reply: 'statsReset',
+        failure: 'Failed to reset statistics',
+        run: async () => {
+          this.stats.reset();
+          return {};
+        }
+      },
+      getLoadouts: {
+        roles: ALL_ROLES,
+        params: {},
+        reply: 'loadouts',
+        failure: 'Failed to get loadouts',
+        run: async () => {
+          const { type, ...message } = this.getLoadoutsMessage();
+          return message;
+        }
+      },
+      createLoadout: {
+        params: {
+          name: { type: 'string', required: true },
+          stratagems: { type: 'array', required: true, items: { type: 'string', required: true } }
+        },
+        reply: 'loadoutSaved',
+        failure: 'Failed to create loadout',
+        run: async ({ name, stratagems }) => {
+          if (this.loadouts.get(name)) {
+            throw new CommandError(`Loadout already exists: ${name.trim()}`, 409);
+          }
+          return { loadout: this.saveLoadout(() => this.loadouts.create({ name, stratagems })) };
+        }
+      },
+      updateLoadout: {
+        params: {
+          name: { type: 'string', required: true },
+          newName: { type: 'string' },
+          stratagems: { type: 'array', items: { type: 'string', required: true } }
+        },
+        reply: 'loadoutSaved',
+        failure: 'Failed to update loadout',
+        run: async ({ name, newName, stratagems }) => {
+          this.requireLoadout(name);
+          if (newName !== undefined && newName.trim().toLowerCase() !== name.trim().toLowerCase() &&
+            this.loadouts.get(newName)) {
+            throw new CommandError(`Loadout already exists: ${newName.trim()}`, 409);
+          }
+          return {
+            loadout: this.saveLoadout(() => this.loadouts.update(name, { name: newName, stratagems }))
+          };
+        }
+      },
+      deleteLoadout: {
+        params: { name: { type: 'string', required: true } },
+        reply: 'loadoutDeleted',
+        failure: 'Failed to delete loadout',
+        run: async ({ name }) => {
+          const { name: deleted } = this.requireLoadout(name);
+          this.loadouts.delete(name);
+          console.log(`[Server] Deleted loadout: ${deleted}`);
+          return { name: deleted };
+        }
+      },
+      // Any pad may switch loadouts between missions; null matches everything
+      activateLoadout: {
+        roles: ALL_ROLES,
+        params: { name: { type: 'string' } },
+        reply: 'loadoutActivated',
+        failure: 'Failed to activate loadout',
+        run: async ({ name = null }) => {
+          if (name !== null) this.requireLoadout(name);
+          const active = this.loadouts.activate(name);
+          console.log(`[Server] Active loadout: ${active ? active.name : 'none'}`);
+          return { active };
+        }
+      },
+      getConfig: {
+        roles: ALL_ROLES,
+        params: {},
+        reply: 'config',
+        failure: 'Failed to get config',
+        run: async () => this.getConfigMessage()
+      },
+      getKeybindings: {
+        roles: ALL_ROLES,
+        params: {},
+        reply: 'keybindings',
+        failure: 'Failed to get keybindings',
+        run: async () => this.keybindings.toJSON()
+      },
+      setKeybindingProfile: {
+        params: { name: { type: 'string', required: true } },
+        reply: 'keybindingProfileSet',
+        failure: 'Failed to set keybinding profile',
+        run: async ({ name }) => {
+          if (!this.keybindings.getProfileNames().includes(name)) {
+            throw new CommandError(`Unknown keybinding profile: ${name}`, 404);
+          }
+          this.setKeybindingProfile(name);
+          return { name };
+        }
+      },
+      startMacroRecording: {
+        params: { name: { type: 'string', required: true } },
+        reply: 'macroRecordingStarted',
+        failure: 'Failed to start recording',
+        run: async ({ name }) => {
+          if (this.macroRecorder.isRecording) {
+            throw new CommandError(`Already recording macro: ${this.macroRecorder.recordingName}`, 409);
+          }
+          this.startMacroRecording(name);
+          return { name: this.macroRecorder.recordingName };
+        }
+      },
+      stopMacroRecording: {
+        params: {},
+        reply: 'macroSaved',
+        failure: 'Failed to save macro',
+        run: async () => {
+          this.requireRecording();
+          const macro = this.stopMacroRecording();
+          return { name: macro.name, actionCount: macro.actions.length };
+        }
+      },
+      cancelMacroRecording: {
+        params: {},
+        reply: 'macroRecordingCancelled',
+        failure: 'Failed to cancel recording',
+        run: async () => {
+          this.requireRecording();
+          this.macroRecorder.cancel();
+          this.broadcast({ type: 'macroRecording', recording: false, name: null });
+          return {};
+        }
+      },
+      listMacros: {
+        params: {},
+        reply: 'macros',
+        failure: 'Failed to list macros',
+        run: async () => {
+          const { type, ...message } = this.getMacrosMessage();
+          return message;
+        }
+      },
+      playMacro: {
+        params: { name: { type: 'string', required: true } },
+        hid: true,
+        reply: 'macroPlayed',
+        failure: 'Failed to play macro',
+        run: async ({ name }, client) => this.playMacro(this.requireMacro(name), client)
+      },
+      replayReports: {
+        params: {
+          entries: { type: 'array', items: { type: 'object' }, maxItems: MAX_REPLAY_ENTRIES },
+          // Only the last `limit` entries; needed to replay the server's own log
+          limit: { type: 'integer', min: 1, max: MAX_REPLAY_ENTRIES },
+          speed: { type: 'number', min: 0.1, max: 100, default: 1 },
+          maxGap: { type: 'integer', min: 0, default: 5000 }
+        },
+        hid: true,
+        reply: 'reportsReplayed',
+        failure: 'Failed to replay reports',
+        run: async ({ entries, limit, speed, maxGap }, client) => {
+          // Without entries, replay the end of the server's own log, never all of it
+          if (!entries && !limit) {
+            throw new CommandError('Send entries, or a limit to replay the last entries of the report log');
+          }
+          const selected = entries || this.reportLog.entries();
+
+          let reports;
+          try {
+            reports = toReports(limit ? selected.slice(-limit) : selected);
+          } catch (error) {
+            throw new CommandError(error.message);
+          }
+          if (reports.length === 0) throw new CommandError('No reports to replay');
+
+          try {
+            return await replayReports(this.keyboard, reports, { speed, maxGap, origin: client });
+          } catch (error) {
+            // An emergency release stops the replay
+            if (error.name === 'AbortError') return { type: 'reportReplayStopped' };
+            throw error;
+          }
+        }
+      },
+      stopMacro: {
+        params: {},
+        reply: 'macrosStopped',
+        failure: 'Failed to stop macros',
+        run: async () => ({ count: this.stopMacros() })
+      },
+      deleteMacro: {
+        params: { name: { type: 'string', required: true } },
+        reply: 'macroDeleted',
+        failure: 'Failed to delete macro',
+        run: async ({ name }) => {
+          this.requireMacro(name);
+          try {
+            this.deleteMacro(name);
+          } catch (error) {
+            // Macros from config.json cannot be deleted at runtime
+            throw new CommandError(error.message, 409);
+          }
+          return { name };
+        }
+      },
+      lightFlash: {
+        roles: ALL_ROLES,
+        params: {
+          color: { type: 'string', required: true, pattern: /^rgb\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*\)$/ },
+          duration: { type: 'integer', min: 100, max: 60000 }
+        },
+        reply: 'lightFlashed',
+        failure: 'Failed to flash light',
+        run: async ({ color, duration }) => {
+          // A no-op while the lights plugin is disabled or missing
+          const lights = this.plugins.get('lights');
+          if (!lights) return { color, flashed: false };
+          await lights.flash(color, duration);
+          return { color, flashed: true };
+        }
+      },
+      listPlugins: {
+        params: {},
+        reply: 'plugins',
+        failure: 'Failed to list plugins',
+        run: async () => ({ plugins: this.plugins.list() })
+      },
+      startPairing: {
+        params: { role: { type: 'string' } },
+        reply: 'pairingPin',
+        failure: 'Failed to start pairing',
+        run: async ({ role }) => {
+          if (role !== undefined && !(role in ROLES)) {
+            throw new CommandError(`Unknown role: ${role} (roles: ${ALL_ROLES.join(', ')})`);
+          }
+          return this.pairing.createPin(role);
+        }
+      },
+      cancelPairing: {
+        params: {},
+        reply: 'pairingCancelled',
+        failure: 'Failed to cancel pairing',
+        run: async () => {
+          this.pairing.cancelPin();
+          return {};
+        }
+      },
+      listDevices: {
+        params: {},
+        reply: 'devices',
+        failure: 'Failed to list devices',
+        run: async () => this.getDevicesMessage()
+      },
+      revokeDevice: {
+        params: { id: { type: 'string', required: true } },
+        reply: 'deviceRevoked',
+        failure: 'Failed to revoke device',
+        run: async ({ id }) => {
+          if (!this.pairing.list().some((device) => device.id === id)) {
+            throw new CommandError(`Unknown device: ${id}`, 404);
+          }
+          return { device: this.pairing.revoke(id) };
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate and run a command
+   * @param {string} name - Command name
+   * @param {Object} payload - Message payload or request body
+   * @param {Object} [client] - Client sending it (the local kiosk by default)
+   * @returns {Promise<Object>} Reply fields
+   * @throws {CommandError} Validation (4xx) and execution (5xx) failures
+   */
+  async runCommand(name, payload, client = LOCAL_CLIENT) {
+    const command = this.commands[name];
+    if (!command) throw new CommandError(`Unknown command: ${name}`, 404);
+
+    if (!this.isAllowed(command, client)) {
+      throw new CommandError(`${name} needs full access (this device is ${client.role})`, 403);
+    }
+
+    const params = validateParams(command.params, payload);
+    if (command.padKeys && client.role !== 'full') {
+      this.requirePadKey(params);
+    }
+    if (command.hid && !this.keyboard.isConnected) {
+      throw new CommandError('HID keyboard is not connected', 503);
+    }
+
     try {
-      await this.keyboard.holdKey(key);
-      this.sendToClient(ws, {
-        type: 'keyHeld',
-        key
-      });
+      return await command.run(params, client);
     } catch (error) {
-      this.sendError(ws, `Failed to hold key: ${error.message}`);
+      if (error instanceof CommandError) throw error;
+      throw new CommandError(`${command.failure}: ${error.message}`, 500);
     }
   }
 
-  async handleReleaseKey(ws, { key }) {
-    if (!key) throw new Error('Key is required');
-    
-    try {
-      await this.keyboard.releaseKey(key);
-      this.sendToClient(ws, {
-        type: 'keyReleased',
-        key
-      });
-    } catch (error) {
-      this.sendError(ws, `Failed to release key: ${error.message}`);
+  /**
+   * Whether a client's role may run a command
+   * @param {Object} command - Entry of the command table
+   * @param {Object} client - Client `{ role }`
+   * @returns {boolean}
+   */
+  isAllowed(command, client) {
+    return (command.roles || ['full']).includes(client.role);
+  }
+
+  /**
+   * Limit key commands to stratagem input: the active profile's menu and
+   * direction keys, without extra modifiers
+   * @param {Object} params - Validated `{ key, options }`
+   * @throws {CommandError} 403 for any other key
+   */
+  requirePadKey({ key, options = {} }) {
+    const { menuKey, directions } = this.keybindings.getActive();
+    const padKeys = [menuKey, ...Object.values(directions)];
+
+    if (!padKeys.includes(key.toLowerCase().trim()) || (options.modifiers || []).length > 0) {
+      throw new CommandError(`This device may only send stratagem keys (${padKeys.join(', ')})`, 403);
     }
   }
 
-  async handlePressKey(ws, { key, options = {} }) {
-    if (!key) throw new Error('Key is required');
-    
+  requireKnownKey(key) {
+    if (!this.keyboard.isKnownKey(key)) {
+      throw new CommandError(`Unknown key: ${key}`);
+    }
+  }
+
+  /**
+   * Resolve a stratagem for a command
+   * @param {Object} request - `name` or `inputCode`
+   * @returns {Object} Stratagem
+   * @throws {CommandError} 404 for unknown names, 400 for bad input codes
+   */
+  resolveStratagem({ name, inputCode }) {
+    if (name && !this.stratagems.findByName(name)) {
+      throw new CommandError(`Unknown stratagem: ${name}`, 404);
+    }
+
     try {
-      await this.keyboard.pressKey(key, options);
-      this.sendToClient(ws, {
-        type: 'keyPressed',
-        key,
-        options
-      });
+      return this.stratagems.resolve({ name, inputCode });
     } catch (error) {
-      this.sendError(ws, `Failed to press key: ${error.message}`);
+      throw new CommandError(error.message);
     }
   }
 
-  async handlePressWithHeld(ws, { key, options = {} }) {
-    if (!key) throw new Error('Key is required');
-    
+  /**
+   * Connect the mouse alongside the keyboard; the mouse is optional, so a
+   * missing gadget function only logs
+   * @returns {Promise<boolean>} Whether the mouse is connected
+   */
+  async connectMouse() {
+    if (!this.mouse) return false;
+
     try {
-      await this.keyboard.pressWithHeld(key, options);
-      this.sendToClient(ws, {
-        type: 'keyPressedWithHeld',
-        key,
-        options
-      });
+      return await this.mouse.connect();
     } catch (error) {
-      this.sendError(ws, `Failed to press key with held: ${error.message}`);
+      console.warn(`[Server] HID mouse unavailable: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * The connected mouse, checking the button name if one is given
+   * @param {string} [button] - Button name
+   * @returns {HIDMouse}
+   * @throws {CommandError} 400 for unknown buttons, 503 without a mouse
+   */
+  requireMouse(button) {
+    if (button !== undefined && !(button.toLowerCase().trim() in HIDMouse.BUTTONS)) {
+      throw new CommandError(`Unknown mouse button: ${button}`);
+    }
+    if (!this.mouse) throw new CommandError('HID mouse is disabled', 503);
+    if (!this.mouse.isConnected) throw new CommandError('HID mouse is not connected', 503);
+    return this.mouse;
+  }
+
+  /**
+   * Switch the active keybinding profile and tell every client about it
+   * @param {string} name - Profile name
+   */
+  setKeybindingProfile(name) {
+    if (!name) throw new Error('Profile name is required');
+
+    this.keybindings.setActive(name);
+    console.log(`[Server] Keybinding profile set to: ${name}`);
+    this.broadcast({ type: 'keybindings', ...this.keybindings.toJSON() });
+  }
+
+  getDevicesMessage() {
+    return {
+      type: 'devices',
+      devices: this.pairing.list(),
+      pin: this.pairing.getPin()
+    };
+  }
+
+  /**
+   * Report mistakes in the stratagem database (stratagems.json with the
+   * user's overrides applied); errors stop the server unless
+   * stratagems.validation is "warn"
+   * @throws {Error} If the database has errors in strict mode
+   */
+  checkStratagems() {
+    const { validation } = this.config.stratagems;
+    if (validation === 'off') return;
+
+    const { errors, warnings } = validateStratagems(this.stratagems.getAll(), {
+      iconDir: path.join(this.publicDir, 'img/Helldivers-2-Stratagems-icons-svg')
+    });
+    for (const issue of warnings) console.warn(`[Server] Stratagem database: ${issue.message}`);
+    for (const issue of errors) console.error(`[Server] Stratagem database: ${issue.message}`);
+
+    if (errors.length > 0 && validation === 'strict') {
+      throw new Error(
+        `The stratagem database has ${errors.length} error(s); fix them or set stratagems.validation to "warn"`
+      );
     }
   }
 
-  async handleReleaseAll(ws) {
+  /**
+   * Server functions a plugin can call. Commands are attributed to the
+   * plugin and run with full access unless it asks for a narrower role,
+   * e.g. for commands coming from outside.
+   * @param {string} name - Plugin name
+   */
+  createPluginApi(name) {
+    const clients = new Map(); // role -> client, one per role so the watchdog sees a stable owner
+    const clientFor = (role) => {
+      if (!ALL_ROLES.includes(role)) {
+        throw new CommandError(`Unknown role: ${role} (roles: ${ALL_ROLES.join(', ')})`);
+      }
+      if (!clients.has(role)) {
+        clients.set(role, { local: true, role, deviceId: null, name: `plugin:${name}` });
+      }
+      return clients.get(role);
+    };
+    return {
+      runCommand: (command, payload = {}, { role = 'full' } = {}) =>
+        this.runCommand(command, payload, clientFor(role)),
+      getPadState: () => this.padState.getState(),
+      getStratagems: () => this.stratagems.getAll(),
+      getStatus: () => ({ connected: this.keyboard.isConnected, heldKeys: this.watchdog.getHeld() })
+    };
+  }
+
+  getLoadoutsMessage() {
+    return {
+      type: 'loadouts',
+      loadouts: this.loadouts.list(),
+      active: this.loadouts.getActive()
+    };
+  }
+
+  /**
+   * Run a loadout change, turning validation failures into client errors
+   * @param {Function} save - Calls LoadoutStore.create or update
+   * @returns {Object} The stored loadout
+   */
+  saveLoadout(save) {
+    let loadout;
     try {
-      await this.keyboard.releaseAll();
-      this.sendToClient(ws, {
-        type: 'allKeysReleased'
-      });
+      loadout = save();
     } catch (error) {
-      this.sendError(ws, `Failed to release all keys: ${error.message}`);
+      throw new CommandError(error.message);
+    }
+    console.log(`[Server] Saved loadout "${loadout.name}": ${loadout.stratagems.join(', ')}`);
+    return loadout;
+  }
+
+  requireLoadout(name) {
+    const loadout = this.loadouts.get(name);
+    if (!loadout) throw new CommandError(`Unknown loadout: ${name}`, 404);
+    return loadout;
+  }
+
+  getMacrosMessage() {
+    return {
+      type: 'macros',
+      macros: this.macros.list(),
+      recording: this.macroRecorder.recordingName
+    };
+  }
+
+  requireRecording() {
+    if (!this.macroRecorder.isRecording) {
+      throw new CommandError('Not recording a macro', 409);
     }
   }
 
-  async handleLightFlash(ws, { color }) {
-    if (!color) throw new Error('Color is required');
+  requireMacro(name) {
+    const macro = this.macros.get(name);
+    if (!macro) throw new CommandError(`Unknown macro: ${name}`, 404);
+    return macro;
+  }
+
+  startMacroRecording(name) {
+    this.macroRecorder.start(name);
+    console.log(`[Server] Recording macro: ${this.macroRecorder.recordingName}`);
+    this.broadcast({ type: 'macroRecording', recording: true, name: this.macroRecorder.recordingName });
+  }
+
+  stopMacroRecording() {
+    const macro = this.macros.save(this.macroRecorder.stop());
+    console.log(`[Server] Saved macro "${macro.name}" (${macro.actions.length} actions)`);
+    this.broadcast({ type: 'macroRecording', recording: false, name: null });
+    this.broadcast(this.getMacrosMessage());
+    return macro;
+  }
+
+  deleteMacro(name) {
+    this.macros.delete(name);
+    console.log(`[Server] Deleted macro: ${name}`);
+    this.broadcast(this.getMacrosMessage());
+  }
+
+  /**
+   * Play a macro; stopMacros() aborts it
+   * @param {Object} macro - Macro with name and actions
+   * @param {Object} [client] - Client playing it
+   * @returns {Promise<Object>} Reply fields (`macroStopped` if aborted)
+   */
+  async playMacro(macro, client = null) {
+    const controller = new AbortController();
+    this.macroPlayback.add(controller);
 
     try {
-      await this.lightManager.flash(color);
-      this.sendToClient(ws, {
-        type: 'lightFlashed',
-        color
-      });
+      await this.keyboard.executeSequence(macro.actions, { signal: controller.signal, origin: client });
+      return { name: macro.name };
     } catch (error) {
-      this.sendError(ws, `Failed to flash light: ${error.message}`);
+      if (error.name === 'AbortError') {
+        // Aborted sequences release everything themselves
+        return { type: 'macroStopped', name: macro.name };
+      }
+
+      // Never leave keys down on the host after a failed playback
+      await this.keyboard.releaseAll().catch(() => {});
+      throw error;
+    } finally {
+      this.macroPlayback.delete(controller);
     }
   }
 
+  /**
+   * Abort every macro that is queued or playing
+   * @returns {number} Number of macros stopped
+   */
+  stopMacros() {
+    const count = this.macroPlayback.size;
+    for (const controller of this.macroPlayback) {
+      controller.abort();
+    }
+    console.log(`[Server] Stopped ${count} macro(s)`);
+    return count;
+  }
+
+  /**
+   * Open the stratagem menu, type the whole input code and release everything.
+   * Runs as one queued keyboard operation, throw included, so other clients
+   * cannot interleave. Keys are always released, even if a keystroke fails halfway.
+   * @param {Object} stratagem - Stratagem with an inputCode array
+   * @param {Object} [options={}] - Execution options
+   * @param {boolean} [options.throw=false] - Left-click to throw once the code is in
+   * @param {Object} [options.origin] - Client executing it
+   * @returns {Promise<void>}
+   */
+  async executeStratagem(stratagem, options = {}) {
+    const { menuOpenDelay, keyHoldTime, keyDelay } = this.stratagemTiming;
+    const { menuKey, menuMode } = this.keybindings.getActive();
+    // Fail before typing anything if there is no mouse to throw with
+    const mouse = options.throw ? this.requireMouse() : null;
+
+    await this.keyboard.runExclusive(async () => {
+      try {
+        if (menuMode === 'hold') {
+          await this.keyboard.holdKey(menuKey);
+        } else {
+          await this.keyboard.pressKey(menuKey, { holdTime: keyHoldTime });
+        }
+        await this.keyboard.wait(menuOpenDelay);
+
+        for (const letter of stratagem.inputCode) {
+          const key = this.keybindings.keyForLetter(letter);
+          if (menuMode === 'hold') {
+            await this.keyboard.pressWithHeld(key, { holdTime: keyHoldTime });
+          } else {
+            await this.keyboard.pressKey(key, { holdTime: keyHoldTime });
+          }
+          await this.keyboard.wait(keyDelay);
+        }
+      } finally {
+        await this.keyboard.releaseAll();
+      }
+
+      if (mouse) {
+        await mouse.click('left');
+      }
+    }, { origin: options.origin });
+
+    console.log(`[Server] Executed stratagem: ${stratagem.name || stratagem.inputCode.join('')}`);
+  }
+
   sendToClient(ws, message) {
     if (ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify(message));
     }
   }
 
-  sendError(ws, error) {
+  /**
+   * Send a message to every client but overlays, or only those matching a filter
+   * @param {Object} message - Message
+   * @param {Function} [filter] - Called with each socket
+   */
+  broadcast(message, filter = (ws) => !isOverlay(ws)) {
+    for (const client of this.wss.clients) {
+      if (filter(client)) this.sendToClient(client, message);
+    }
+  }
+
+  /**
+   * Send a structured error
+   * @param {WebSocket} ws - Client socket
+   * @param {Error} error - Error (CommandError carries the code)
+   * @param {Object} [context={}] - `id` and `requestType` of the failed message
+   */
+  sendError(ws, error, { id, requestType } = {}) {
     this.sendToClient(ws, {
       type: 'error',
-      message: error
+      id,
+      requestType,
+      code: error.code || ERROR_CODES.COMMAND_FAILED,
+      message: error.message
     });
   }
 
@@ -298,10 +1614,22 @@ class StratagemServer {
   }
 
   async shutdown(code = 0) {
+    // Force exit after 5 seconds, whatever below hangs
+    setTimeout(() => {
+      console.log('[Server] Force exit');
+      process.exit(code);
+    }, 5000).unref();
+
     try {
       console.log('[Server] Disconnecting HID keyboard...');
       await this.keyboard.disconnect();
+      if (this.mouse) await this.mouse.disconnect();
       
+      this.configManager.close();
+      this.stats.flush();
+      await this.reportLog.close();
+      await this.plugins.close();
+
       console.log('[Server] Closing WebSocket server...');
       this.wss.close();
       
@@ -310,27 +1638,27 @@ class StratagemServer {
         console.log('[Server] Server closed successfully');
         process.exit(code);
       });
-      
-      // Force exit after 5 seconds
-      setTimeout(() => {
-        console.log('[Server] Force exit');
-        process.exit(code);
-      }, 5000);
-      
     } catch (error) {
       console.error('[Server] Error during shutdown:', error);
       process.exit(1);
     }
   }
 
-  start() {
+  async start() {
+    await this.plugins.load();
+
     return new Promise((resolve, reject) => {
       this.server.listen(this.port, this.host, (error) => {
         if (error) {
           reject(error);
         } else {
           console.log(`[Server] Helldivers Stratagem Pad server running on http://${this.host}:${this.port}`);
+          if (!isLoopback(this.host) && this.host !== 'localhost') {
+            console.log('[Server] LAN access enabled: devices must pair with a PIN from the pad');
+          }
           console.log(`[Server] Serving files from: ${this.publicDir}`);
+          console.log(`[Server] HID transport: ${this.keyboard.transport.name}`);
+          this.configManager.watch();
           resolve();
         }
       });
@@ -340,7 +1668,14 @@ class StratagemServer {
 
 // Start server if run directly
 if (require.main === module) {
-  const server = new StratagemServer();
+  let server;
+  try {
+    server = new StratagemServer(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`[Server] ${error.message}`);
+    process.exit(1);
+  }
+
   server.start().catch((error) => {
     console.error('[Server] Failed to start server:', error);
     process.exit(1);
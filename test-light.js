@@ -1,4 +1,4 @@
-const { LightManager } = require('./src/lib/lights.js');
+const { LightManager } = require('./plugins/lights/lights.js');
 
 async function testLight() {
   console.log('Testing LightManager with IP: 192.168.1.222');
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ConfigManager, CONFIG_DEFAULTS, parseArgs, configFromEnv } = require("../src/lib/config.js");
+
+/**
+ * Temporary directory with the given config.json / config.example.json
+ */
+function createConfigDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+  }
+  return dir;
+}
+
+test("later layers win: defaults, config.json, environment, CLI flags", (t) => {
+  const dir = createConfigDir(t, {
+    "config.json": { server: { port: 4000 }, hid: { keyHoldTime: 80, defaultDelay: 20 } },
+  });
+
+  const config = new ConfigManager({
+    filePath: path.join(dir, "config.json"),
+    env: { STRATAGEM_PAD_SERVER_PORT: "5000", STRATAGEM_PAD_HID_KEY_HOLD_TIME: "90" },
+    overrides: parseArgs(["--port", "6000"]).overrides,
+  }).load();
+
+  assert.equal(config.server.port, 6000); // CLI
+  assert.equal(config.hid.keyHoldTime, 90); // Environment
+  assert.equal(config.hid.defaultDelay, 20); // config.json
+  assert.equal(config.hid.layout, CONFIG_DEFAULTS.hid.layout); // Default
+});
+
+test("config.example.json is used while there is no config.json", (t) => {
+  const dir = createConfigDir(t, { "config.example.json": { hid: { layout: "fr" } } });
+
+  const config = new ConfigManager({ filePath: path.join(dir, "config.json"), env: {} }).load();
+  assert.equal(config.hid.layout, "fr");
+});
+
+test("old top-level settings are moved to their section", (t) => {
+  const dir = createConfigDir(t, { "config.json": { lightIp: "192.168.1.50", host: "0.0.0.0" } });
+
+  const config = new ConfigManager({ filePath: path.join(dir, "config.json"), env: {} }).load();
+  assert.equal(config.plugins.lights.ip, "192.168.1.50");
+  assert.equal(config.server.host, "0.0.0.0");
+  assert.equal(config.lightIp, undefined);
+});
+
+test("the old lights section becomes the lights plugin's settings", (t) => {
+  const dir = createConfigDir(t, {
+    "config.json": { lights: { ip: "192.168.1.50", flashDuration: 500 }, plugins: { lights: { flashDuration: 800 } } },
+  });
+
+  const config = new ConfigManager({ filePath: path.join(dir, "config.json"), env: {} }).load();
+  assert.equal(config.plugins.lights.ip, "192.168.1.50");
+  assert.equal(config.plugins.lights.flashDuration, 800);
+  assert.equal(config.lights, undefined);
+});
+
+test("invalid settings stop loading", (t) => {
+  const dir = createConfigDir(t, { "config.json": { server: { port: 70000 } } });
+  const manager = new ConfigManager({ filePath: path.join(dir, "config.json"), env: {} });
+
+  assert.throws(() => manager.load(), /Invalid config: server\.port must be at most 65535/);
+});
+
+test("CLI flags and environment variables are coerced to the schema types", () => {
+  assert.deepEqual(parseArgs(["--hid.keyHoldTime=80", "--mock-hid", "--host", "0.0.0.0"]), {
+    configPath: null,
+    overrides: { hid: { keyHoldTime: 80 }, mockHid: true, server: { host: "0.0.0.0" } },
+  });
+  assert.equal(parseArgs(["--config", "other.json"]).configPath, path.resolve("other.json"));
+  assert.deepEqual(configFromEnv({ STRATAGEM_PAD_HID_AUTO_RECONNECT: "off", UNRELATED: "1" }), {
+    hid: { autoReconnect: false },
+  });
+
+  assert.throws(() => parseArgs(["--hid.keyHoldTime", "slow"]), /must be a number/);
+  assert.throws(() => parseArgs(["--nope", "1"]), /Unknown config setting/);
+  assert.throws(() => parseArgs(["--port"]), /Missing value/);
+});
+
+test("reload reports changed settings and those needing a restart", (t) => {
+  const dir = createConfigDir(t, { "config.json": { hid: { keyHoldTime: 80 } } });
+  const filePath = path.join(dir, "config.json");
+  const manager = new ConfigManager({ filePath, env: {} });
+  manager.load();
+
+  const events = [];
+  manager.on("change", (event) => events.push(event));
+
+  fs.writeFileSync(filePath, JSON.stringify({ hid: { keyHoldTime: 60 }, server: { port: 8080 } }));
+  assert.deepEqual(manager.reload().sort(), ["hid.keyHoldTime", "server.port"]);
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].restartRequired, ["server.port"]);
+  assert.equal(manager.get().hid.keyHoldTime, 60);
+
+  // Saving the same content again changes nothing
+  assert.deepEqual(manager.reload(), []);
+  assert.equal(events.length, 1);
+});
+
+test("a broken edit keeps the previous config", (t) => {
+  const dir = createConfigDir(t, { "config.json": { hid: { keyHoldTime: 80 } } });
+  const filePath = path.join(dir, "config.json");
+  const manager = new ConfigManager({ filePath, env: {} });
+  manager.load();
+
+  const errors = [];
+  manager.on("error", (error) => errors.push(error.message));
+
+  fs.writeFileSync(filePath, "{ \"hid\": ");
+  assert.deepEqual(manager.reload(), []);
+  fs.writeFileSync(filePath, JSON.stringify({ hid: { keyHoldTime: -1 } }));
+  assert.deepEqual(manager.reload(), []);
+
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /Cannot read config\.json/);
+  assert.match(errors[1], /Invalid config/);
+  assert.equal(manager.get().hid.keyHoldTime, 80);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getLayout, getLayoutIds, LEVEL_MODIFIERS } = require("../src/lib/layouts.js");
+const { HIDKeyboard } = require("../src/lib/hid.js");
+
+const { base, shift, altgr } = LEVEL_MODIFIERS;
+
+test("every bundled layout parses and types all letters and digits", () => {
+  for (const id of getLayoutIds()) {
+    const layout = getLayout(id);
+    for (const char of "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ") {
+      assert.ok(layout.resolveCharacter(char), `${id} cannot type ${JSON.stringify(char)}`);
+    }
+  }
+});
+
+test("characters resolve to the key and level producing them on the host layout", () => {
+  const cases = [
+    ["us", "a", 0x04, base],
+    ["us", "A", 0x04, shift],
+    ["us", "@", 0x1f, shift],
+    ["fr", "a", 0x14, base], // Q position
+    ["fr", "1", 0x1e, shift],
+    ["fr", "@", 0x27, altgr],
+    ["de", "z", 0x1c, base], // Y position
+    ["de", "y", 0x1d, base],
+    ["de", "|", 0x64, altgr], // ISO key
+    ["dvorak", "o", 0x16, base], // S position
+  ];
+
+  for (const [id, char, keyCode, modifiers] of cases) {
+    assert.deepEqual(getLayout(id).resolveCharacter(char), { keyCode, modifiers }, `${id} ${char}`);
+  }
+});
+
+test("characters a layout cannot produce resolve to null", () => {
+  assert.equal(getLayout("us").resolveCharacter("€"), null);
+  assert.deepEqual(getLayout("de").resolveCharacter("€"), { keyCode: 0x08, modifiers: altgr });
+  assert.equal(getLayout("dvorak").resolveCharacter("ß"), null);
+});
+
+test("layout ids are case-insensitive and unknown ones are rejected", () => {
+  assert.equal(getLayout(" FR ").id, "fr");
+  assert.throws(() => getLayout("colemak"), /Unknown keyboard layout/);
+});
+
+test("typeText sends the keys of the configured host layout", async () => {
+  const keyboard = new HIDKeyboard({ transport: "memory", layout: "fr", keyHoldTime: 0, defaultDelay: 0 });
+  await keyboard.connect();
+
+  try {
+    await keyboard.typeText("aZ");
+
+    const pressed = keyboard.transport.getReports().filter((report) => report[2] !== 0);
+    assert.deepEqual(pressed, [
+      [base, 0, 0x14, 0, 0, 0, 0, 0],
+      [shift, 0, 0x1a, 0, 0, 0, 0, 0],
+    ]);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { HIDKeyboard } = require("../src/lib/hid.js");
+const { KeybindingManager } = require("../src/lib/keybindings.js");
+const { StratagemDatabase } = require("../src/lib/stratagems.js");
+const { PadState } = require("../src/lib/padState.js");
+
+const stratagems = new StratagemDatabase(path.join(__dirname, "../public/stratagems.json"));
+stratagems.load();
+
+/**
+ * Pad state driven by a keyboard writing to memory, with every change recorded
+ */
+async function createPad(keybindingsConfig) {
+  const keyboard = new HIDKeyboard({ transport: "memory", keyHoldTime: 0, defaultDelay: 0 });
+  await keyboard.connect();
+  const keybindings = new KeybindingManager(keybindingsConfig);
+  const padState = new PadState({ keyboard, keybindings, stratagems });
+
+  const changes = [];
+  const activations = [];
+  padState.on("change", (diff) => changes.push(diff));
+  padState.on("stratagemActivated", (stratagem) => activations.push(stratagem.name));
+
+  return { keyboard, keybindings, padState, changes, activations };
+}
+
+test("typing a code with the menu held activates the stratagem", async () => {
+  const { keyboard, padState, changes, activations } = await createPad();
+
+  try {
+    await keyboard.holdKey("ctrl");
+    for (const key of ["d", "d", "w"]) {
+      await keyboard.pressWithHeld(key);
+    }
+
+    assert.deepEqual(activations, ["Orbital Precision Strike"]);
+    const state = padState.getState();
+    assert.equal(state.menuActive, true);
+    assert.deepEqual(state.lastStratagem.inputCode, ["D", "D", "W"]);
+    assert.deepEqual(
+      changes.filter((diff) => diff.currentInput).map((diff) => diff.currentInput.join("")),
+      ["D", "DD", "DDW"]
+    );
+
+    await keyboard.releaseKey("ctrl");
+    assert.equal(padState.getState().menuActive, false);
+    assert.deepEqual(padState.getState().currentInput, []);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("direction keys outside the menu change nothing", async () => {
+  const { keyboard, changes, activations } = await createPad();
+
+  try {
+    for (const key of ["d", "d", "w"]) {
+      await keyboard.pressKey(key);
+    }
+
+    assert.deepEqual(changes, []);
+    assert.deepEqual(activations, []);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("input longer than every code starts over", async () => {
+  const { keyboard, padState, activations } = await createPad();
+  const longest = Math.max(...stratagems.getAll().map((s) => s.inputCode.length));
+
+  try {
+    await keyboard.holdKey("ctrl");
+    // No stratagem starts with A, A
+    for (let i = 0; i < longest; i++) {
+      await keyboard.pressWithHeld("a");
+    }
+
+    assert.deepEqual(activations, []);
+    assert.deepEqual(padState.getState().currentInput, []);
+    assert.equal(padState.getState().menuActive, true);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("the active keybinding profile decides which keys are directions", async () => {
+  const { keyboard, keybindings, padState, activations } = await createPad({ active: "arrows" });
+
+  try {
+    await keyboard.holdKey("ctrl");
+    await keyboard.pressWithHeld("w");
+    assert.deepEqual(padState.getState().currentInput, []);
+
+    for (const key of ["right", "right", "up"]) {
+      await keyboard.pressWithHeld(key);
+    }
+    assert.deepEqual(activations, ["Orbital Precision Strike"]);
+
+    // Input typed with the previous profile is dropped
+    await keyboard.pressWithHeld("down");
+    keybindings.setActive("default");
+    assert.deepEqual(padState.getState().currentInput, []);
+    assert.equal(padState.getState().menuActive, false);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("update emits only the fields that changed", async () => {
+  const { keyboard, padState, changes } = await createPad();
+
+  try {
+    assert.deepEqual(padState.update({ menuActive: false }), {});
+    assert.deepEqual(padState.update({ menuActive: true, currentInput: [] }), { menuActive: true });
+    assert.deepEqual(changes, [{ menuActive: true }]);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PairingManager } = require("../src/lib/pairing.js");
+
+/**
+ * Pairing manager keeping its devices in a fresh temporary directory
+ */
+function createManager(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pairing-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const filePath = path.join(dir, "devices.json");
+  const pairing = new PairingManager(filePath, options);
+  pairing.load();
+  return { pairing, filePath };
+}
+
+test("a PIN is exchanged once for a token carrying the PIN's role", (t) => {
+  const { pairing, filePath } = createManager(t);
+
+  const { pin, role } = pairing.createPin("full");
+  assert.match(pin, /^\d{6}$/);
+  assert.equal(role, "full");
+
+  const { token, device } = pairing.pair(pin, " Stream Deck ");
+  assert.equal(device.name, "Stream Deck");
+  assert.equal(device.role, "full");
+  assert.equal(pairing.getPin(), null);
+  assert.throws(() => pairing.pair(pin, "Second"), /No pairing in progress/);
+
+  const authenticated = pairing.authenticate(token);
+  assert.equal(authenticated.id, device.id);
+  assert.equal(authenticated.tokenHash, undefined);
+  assert.ok(authenticated.lastSeen);
+  assert.equal(pairing.authenticate("not-a-token"), null);
+
+  // Only the token hash is kept on disk, readable by the owner alone
+  const stored = fs.readFileSync(filePath, "utf8");
+  assert.ok(!stored.includes(token));
+  assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+});
+
+test("paired devices survive a restart and revoking one stops its token", (t) => {
+  const { pairing, filePath } = createManager(t);
+  const { token, device } = pairing.pair(pairing.createPin().pin, "Phone");
+  assert.equal(device.role, "stratagems");
+
+  const restarted = new PairingManager(filePath);
+  restarted.load();
+  assert.equal(restarted.authenticate(token).id, device.id);
+
+  restarted.revoke(device.id);
+  assert.equal(restarted.authenticate(token), null);
+  assert.deepEqual(restarted.list(), []);
+  assert.throws(() => restarted.revoke(device.id), /Unknown device/);
+});
+
+test("too many wrong guesses discard the PIN", (t) => {
+  const { pairing } = createManager(t, { maxPinAttempts: 3 });
+  const discarded = [];
+  pairing.on("pinDiscarded", (event) => discarded.push(event.reason));
+
+  const { pin } = pairing.createPin();
+  const wrong = pin === "000000" ? "111111" : "000000";
+  assert.throws(() => pairing.pair(wrong), /Wrong PIN/);
+  assert.throws(() => pairing.pair("12"), /Wrong PIN/);
+  assert.throws(() => pairing.pair(wrong), /Too many wrong PINs/);
+
+  assert.deepEqual(discarded, ["attempts"]);
+  assert.throws(() => pairing.pair(pin), /No pairing in progress/);
+});
+
+test("PINs expire", async (t) => {
+  const { pairing } = createManager(t, { pinTimeout: 20 });
+  const { pin } = pairing.createPin();
+
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.equal(pairing.getPin(), null);
+  assert.throws(() => pairing.pair(pin), /No pairing in progress/);
+});
+
+test("unknown roles are rejected", (t) => {
+  const { pairing } = createManager(t);
+  assert.throws(() => pairing.createPin("admin"), /Unknown role/);
+  assert.throws(() => new PairingManager("devices.json", { defaultRole: "admin" }), /Unknown default role/);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { HIDKeyboard } = require("../src/lib/hid.js");
+
+const EMPTY = [0, 0, 0, 0, 0, 0, 0, 0];
+
+async function createKeyboard() {
+  const keyboard = new HIDKeyboard({ transport: "memory", keyHoldTime: 5, defaultDelay: 0 });
+  await keyboard.connect();
+  keyboard.transport.clear(); // Connecting writes an empty report
+  return keyboard;
+}
+
+/**
+ * Key codes of each recorded report, e.g. [[0x1a], []]
+ */
+function keysOf(keyboard) {
+  return keyboard.transport.getReports().map((report) => report.slice(2).filter(Boolean));
+}
+
+test("runExclusive keeps other callers' reports out of its unit", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    const exclusive = keyboard.runExclusive(async () => {
+      await keyboard.holdKey("w");
+      await keyboard.wait(30);
+      await keyboard.pressKey("d");
+      await keyboard.releaseAll();
+    });
+    const other = keyboard.pressKey("a");
+    await Promise.all([exclusive, other]);
+
+    assert.deepEqual(keysOf(keyboard), [
+      [0x1a], // w down
+      [0x07], // d
+      [],
+      [], // releaseAll
+      [0x04], // a only once the unit is done
+      [],
+    ]);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("queued operations run by priority, then in order", async () => {
+  const keyboard = await createKeyboard();
+  const order = [];
+
+  try {
+    const blocker = keyboard.runExclusive(() => keyboard.wait(30));
+    const queued = [
+      keyboard.runExclusive(async () => order.push("low")),
+      keyboard.runExclusive(async () => order.push("high"), { priority: 10 }),
+      keyboard.runExclusive(async () => order.push("low 2")),
+      keyboard.runExclusive(async () => order.push("medium"), { priority: 5 }),
+    ];
+    await Promise.all([blocker, ...queued]);
+
+    assert.deepEqual(order, ["high", "medium", "low", "low 2"]);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("an aborted signal drops a queued operation before it runs", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    const blocker = keyboard.runExclusive(() => keyboard.wait(30));
+    const controller = new AbortController();
+    const cancelled = keyboard.pressKey("a", { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(cancelled, { name: "AbortError" });
+    await blocker;
+    assert.deepEqual(keysOf(keyboard), []);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("an emergency release preempts the running operation and clears the queue", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    const running = keyboard.runExclusive(async () => {
+      await keyboard.holdKey("shift");
+      await keyboard.holdKey("w");
+      await keyboard.wait(5000);
+      await keyboard.pressKey("d");
+    });
+    const queued = keyboard.pressKey("a");
+
+    // Let the running operation get to its wait
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const started = Date.now();
+    await keyboard.releaseAll({ emergency: true });
+
+    await assert.rejects(running, { name: "AbortError" });
+    await assert.rejects(queued, { name: "AbortError" });
+    assert.ok(Date.now() - started < 1000, "the release waited for the running operation");
+
+    const reports = keyboard.transport.getReports();
+    assert.deepEqual(reports[reports.length - 1], EMPTY);
+    assert.ok(!keysOf(keyboard).some((keys) => keys.includes(0x07) || keys.includes(0x04)));
+    assert.deepEqual(keyboard.getState(), { modifiers: 0, keys: [] });
+  } finally {
+    await keyboard.disconnect();
+  }
+});
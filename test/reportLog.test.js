@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { HIDKeyboard } = require("../src/lib/hid.js");
+const { ReportLog, parseLog, toReports, replayReports } = require("../src/lib/reportLog.js");
+
+const EMPTY = [0, 0, 0, 0, 0, 0, 0, 0];
+
+async function createKeyboard() {
+  const keyboard = new HIDKeyboard({ transport: "memory", keyHoldTime: 0, defaultDelay: 0 });
+  await keyboard.connect();
+  keyboard.transport.clear();
+  return keyboard;
+}
+
+function createLogPath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-log-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "reports.jsonl");
+}
+
+/**
+ * Log entries for reports sent the given number of ms apart
+ */
+function entriesAt(offsets, report = "0000040000000000") {
+  return offsets.map((offset) => ({ time: new Date(1700000000000 + offset).toISOString(), report }));
+}
+
+test("logged reports are decoded, attributed and replay to the same reports", async (t) => {
+  const keyboard = await createKeyboard();
+  const log = new ReportLog(createLogPath(t));
+  log.attach(keyboard);
+
+  try {
+    await keyboard.holdKey("shift", { origin: { name: "phone", deviceId: "d1" } });
+    await keyboard.pressWithHeld("w");
+    await keyboard.releaseAll();
+    const sent = keyboard.transport.getReports();
+    await keyboard.disconnect();
+    await log.close();
+
+    const entries = log.entries().slice(0, sent.length);
+    assert.deepEqual(entries[0].modifiers, ["shift"]);
+    assert.deepEqual(entries[0].client, { name: "phone", deviceId: "d1" });
+    assert.deepEqual(entries[1].keys, ["w"]);
+    assert.equal(entries[1].report, "02001a0000000000");
+
+    const replayed = await createKeyboard();
+    try {
+      const result = await replayReports(replayed, toReports(entries), { speed: 100 });
+      assert.equal(result.count, sent.length);
+      assert.deepEqual(replayed.transport.getReports(), [...sent, EMPTY]);
+    } finally {
+      await replayed.disconnect();
+    }
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("replay keeps the original spacing, scaled by speed and capped by maxGap", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    // Gaps of 200 ms and 60 s: 100 ms plus 150 ms at double speed
+    const { duration } = await replayReports(keyboard, toReports(entriesAt([0, 200, 60200])), {
+      speed: 2,
+      maxGap: 300,
+    });
+    assert.ok(duration >= 240 && duration < 1000, `replay took ${duration} ms`);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("an emergency release stops a replay", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    const replay = replayReports(keyboard, toReports(entriesAt([0, 5000, 10000])));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await keyboard.releaseAll({ emergency: true });
+
+    await assert.rejects(replay, { name: "AbortError" });
+    assert.deepEqual(keyboard.transport.getReports(), [[0, 0, 0x04, 0, 0, 0, 0, 0], EMPTY]);
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("torn lines are skipped and entries without a report are rejected", () => {
+  const [entry] = entriesAt([0]);
+  assert.deepEqual(parseLog(`${JSON.stringify(entry)}\n{"time": "20`), [entry]);
+
+  assert.throws(() => toReports([{ time: entry.time, report: "00" }]), /Log entry 0 needs an 8-byte hex report/);
+  assert.throws(() => toReports([{ report: entry.report }]), /needs an 8-byte hex report and a time/);
+});
+
+test("the log rotates by size and keeps maxFiles old files", async (t) => {
+  const filePath = createLogPath(t);
+  // Every report after the first in a file starts a new one
+  const log = new ReportLog(filePath, { maxSize: 1, maxFiles: 2 });
+  const event = { modifiers: 0, keys: [0x04], report: Buffer.from([0, 0, 0x04, 0, 0, 0, 0, 0]) };
+
+  for (let latency = 0; latency < 6; latency++) {
+    log.record({ ...event, latency });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  await log.close();
+
+  assert.deepEqual(log.files(), [`${filePath}.2`, `${filePath}.1`, filePath]);
+  assert.deepEqual(fs.readFileSync(`${filePath}.1`, "utf8").split("\n").filter(Boolean).length, 1);
+  assert.deepEqual(
+    log.entries().map((entry) => entry.latency),
+    [3, 4, 5]
+  );
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { HIDKeyboard } = require("../src/lib/hid.js");
+const { parseSequence } = require("../src/lib/sequences.js");
+
+async function createKeyboard() {
+  const keyboard = new HIDKeyboard({ transport: "memory", keyHoldTime: 5, defaultDelay: 0 });
+  await keyboard.connect();
+  return keyboard;
+}
+
+test("the text syntax parses to executeSequence actions", () => {
+  assert.deepEqual(
+    parseSequence('ctrl down; w; wait 80\nrepeat 2 { shift+a 30 }; waitForRelease ctrl 5000; ctrl up; type "a; b"; release'),
+    [
+      { type: "hold", key: "ctrl" },
+      { type: "pressWithHeld", key: "w" },
+      { type: "delay", duration: 80 },
+      { type: "repeat", count: 2, actions: [{ type: "key", key: "shift+a", options: { holdTime: 30 } }] },
+      { type: "waitForRelease", key: "ctrl", timeout: 5000 },
+      { type: "releaseKey", key: "ctrl" },
+      { type: "text", text: "a; b" },
+      { type: "release" },
+    ]
+  );
+});
+
+test("waitForRelease continues once a client releases the key", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    const started = Date.now();
+    const sequence = keyboard.executeSequence([
+      { type: "hold", key: "ctrl" },
+      { type: "waitForRelease", key: "ctrl", timeout: 5000 },
+      { type: "release" },
+    ]);
+
+    setTimeout(() => keyboard.notifyRelease("ctrl"), 30);
+    await sequence;
+
+    assert.ok(Date.now() - started < 1000, "the sequence waited for its timeout");
+  } finally {
+    await keyboard.disconnect();
+  }
+});
+
+test("releases the keyboard sends for cleanup do not end a waitForRelease step", async () => {
+  const keyboard = await createKeyboard();
+
+  try {
+    const started = Date.now();
+    const sequence = keyboard.executeSequence([
+      { type: "hold", key: "ctrl" },
+      { type: "waitForRelease", key: "ctrl", timeout: 200 },
+    ]);
+    const cleanup = keyboard.releaseAll();
+    await Promise.all([sequence, cleanup]);
+
+    assert.ok(Date.now() - started >= 190, "the cleanup release ended the wait");
+  } finally {
+    await keyboard.disconnect();
+  }
+});
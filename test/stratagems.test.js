@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { applyOverrides } = require("../src/lib/stratagems.js");
+
+const BUNDLED = [
+  { name: "Reinforce", inputCode: ["W", "S", "D", "A", "W"], category: "Mission" },
+  { name: "Resupply", inputCode: ["S", "S", "W", "D"], category: "Supply" },
+];
+
+test("overrides patch, hide and add stratagems and report unmatched names", () => {
+  const { stratagems, unmatched } = applyOverrides(BUNDLED, {
+    patch: { reinforce: { category: "Favourites" }, Hellbomb: { category: "Objectives" } },
+    hide: ["Resupply"],
+    add: [{ name: "Quick Wave", inputCode: "a d a d", macro: [] }],
+  });
+
+  assert.deepEqual(
+    stratagems.map(({ name, category }) => [name, category]),
+    [["Reinforce", "Favourites"], ["Quick Wave", undefined]]
+  );
+  assert.deepEqual(stratagems[1].inputCode, ["A", "D", "A", "D"]);
+  assert.deepEqual(unmatched, ["Hellbomb"]);
+});
+
+test("patched and added input codes are normalized", () => {
+  const { stratagems } = applyOverrides(BUNDLED, {
+    patch: { Resupply: { inputCode: "ssww" } },
+    add: [{ name: "Custom", inputCode: ["w", " s "] }],
+  });
+
+  assert.deepEqual(stratagems[1].inputCode, ["S", "S", "W", "W"]);
+  assert.deepEqual(stratagems[2].inputCode, ["W", "S"]);
+  assert.deepEqual(BUNDLED[1].inputCode, ["S", "S", "W", "D"]);
+});
+
+test("added stratagems need a name and a valid input code", () => {
+  assert.throws(() => applyOverrides(BUNDLED, { add: [{ inputCode: "WS" }] }), /Added stratagem 0 needs a name/);
+  assert.throws(() => applyOverrides(BUNDLED, { add: [{ name: "Custom" }] }), /Custom needs an inputCode/);
+  assert.throws(
+    () => applyOverrides(BUNDLED, { add: [{ name: "Custom", inputCode: "WXS" }] }),
+    /Override for Custom: Invalid input code direction: X/
+  );
+  assert.throws(
+    () => applyOverrides(BUNDLED, { patch: { Resupply: { inputCode: [] } } }),
+    /Override for Resupply: Input code must not be empty/
+  );
+});
+
+test("malformed override sections are rejected", () => {
+  assert.throws(() => applyOverrides(BUNDLED, { remove: [] }), /Unknown override sections: remove/);
+  assert.throws(() => applyOverrides(BUNDLED, { patch: { Resupply: "SSWD" } }), /must be an object of fields/);
+  assert.throws(() => applyOverrides(BUNDLED, { add: {} }), /add must be an array/);
+});